@@ -0,0 +1,700 @@
+const mongoose = require('mongoose');
+const User = require('../models/userModel');
+const Post = require('../models/postModel');
+const Chat = require('../models/chatModel');
+const Message = require('../models/messageModel');
+const AuditLog = require('../models/auditLogModel');
+const { deleteFromS3 } = require('../utils/s3');
+const { recordAudit } = require('../utils/auditLog');
+const escapeRegex = require('../utils/escapeRegex');
+const { revokeUserSessions } = require('../utils/tokenService');
+const Suspension = require('../models/suspensionModel');
+const { suspendUser, liftSuspensions } = require('../utils/suspensions');
+const { canManage } = require('../utils/moderation');
+const matchmaker = require('../utils/matchmaker');
+
+const ADMIN_USER_FIELDS = 'firstName lastName username email phoneNumber avatar role ' +
+  'active accountLocked lockUntil adminLocked adminLockUntil adminLockReason ' +
+  'loginAttempts emailVerified phoneVerified ' +
+  'postsCount online lastActive createdAt';
+
+// Accounts under a staff lock or a failed-login lockout
+const lockedFilter = () => [
+  { adminLocked: true, adminLockUntil: { $gt: new Date() } },
+  { accountLocked: true, lockUntil: { $gt: new Date() } }
+];
+
+// Query values go straight into filters, so they must be plain strings from
+// the field's enum; anything else (e.g. ?role[$ne]=x) is rejected
+const isEnumValue = (Model, field, value) =>
+  typeof value === 'string' && Model.schema.path(field).enumValues.includes(value);
+
+const isObjectId = (value) =>
+  typeof value === 'string' && mongoose.Types.ObjectId.isValid(value);
+
+// List and search users
+exports.listUsers = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    if ((req.query.q !== undefined && typeof req.query.q !== 'string') ||
+        (req.query.role && !isEnumValue(User, 'role', req.query.role))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid search or role filter'
+      });
+    }
+
+    const filter = {};
+    if (req.query.q) {
+      const pattern = new RegExp(escapeRegex(req.query.q.trim()), 'i');
+      filter.$or = [
+        { username: pattern },
+        { email: pattern },
+        { firstName: pattern },
+        { lastName: pattern },
+        { phoneNumber: pattern }
+      ];
+    }
+    if (req.query.role) {
+      filter.role = req.query.role;
+    }
+    if (req.query.locked === 'true') {
+      filter.$and = [{ $or: lockedFilter() }];
+    }
+    if (req.query.active !== undefined) {
+      filter.active = req.query.active === 'true';
+    }
+
+    const [users, totalUsers] = await Promise.all([
+      User.find(filter)
+        .select(ADMIN_USER_FIELDS)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      User.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: users,
+      pagination: {
+        totalUsers,
+        totalPages: Math.ceil(totalUsers / limit),
+        currentPage: page,
+        usersPerPage: limit
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Get one user with admin-only fields
+exports.getUser = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID format'
+      });
+    }
+
+    const user = await User.findById(req.params.userId).select(ADMIN_USER_FIELDS).lean();
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: user
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Lock an account for a number of minutes, or until unlocked if none given
+exports.lockUser = async (req, res) => {
+  try {
+    const { minutes, reason } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID format'
+      });
+    }
+
+    if (reason !== undefined && typeof reason !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Reason must be text'
+      });
+    }
+
+    if (req.params.userId === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot lock your own account'
+      });
+    }
+
+    const target = await User.findById(req.params.userId).select('role');
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Only admins can lock other staff accounts
+    if (!canManage(req.user, target)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to lock this account'
+      });
+    }
+
+    const hasDuration = minutes !== undefined && minutes !== null && minutes !== '';
+    if (hasDuration && !(Number(minutes) > 0 && Number.isFinite(Number(minutes)))) {
+      return res.status(400).json({
+        success: false,
+        message: 'minutes must be a positive number'
+      });
+    }
+
+    const lockUntil = hasDuration
+      ? new Date(Date.now() + Number(minutes) * 60 * 1000)
+      : new Date(8640000000000000);
+
+    const user = await User.findByIdAndUpdate(
+      target._id,
+      { adminLocked: true, adminLockUntil: lockUntil, adminLockReason: reason },
+      { new: true }
+    ).select(ADMIN_USER_FIELDS);
+
+    // Locking only blocks new logins, so end existing sessions too
+    await revokeUserSessions(user._id, 'signed_out_remotely');
+    await recordAudit(req, 'user.lock', 'User', user._id, { minutes, reason, lockUntil });
+
+    res.status(200).json({
+      success: true,
+      message: 'Account locked',
+      data: user
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Unlock an account: lifts a staff lock and clears failed login attempts
+exports.unlockUser = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID format'
+      });
+    }
+
+    const target = await User.findById(req.params.userId).select('role');
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Only admins can unlock other staff accounts
+    if (!canManage(req.user, target)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to unlock this account'
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      target._id,
+      {
+        adminLocked: false,
+        adminLockUntil: null,
+        adminLockReason: null,
+        accountLocked: false,
+        lockUntil: null,
+        loginAttempts: 0
+      },
+      { new: true }
+    ).select(ADMIN_USER_FIELDS);
+
+    await recordAudit(req, 'user.unlock', 'User', user._id, { reason: req.body.reason });
+
+    res.status(200).json({
+      success: true,
+      message: 'Account unlocked',
+      data: user
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Change a user's role (admins only)
+exports.updateUserRole = async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID format'
+      });
+    }
+
+    if (!['user', 'moderator', 'admin'].includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Role must be user, moderator or admin'
+      });
+    }
+
+    if (req.params.userId === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own role'
+      });
+    }
+
+    const previous = await User.findById(req.params.userId).select('role');
+    if (!previous) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.params.userId,
+      { role },
+      { new: true }
+    ).select(ADMIN_USER_FIELDS);
+
+    await recordAudit(req, 'user.role_change', 'User', user._id, {
+      from: previous.role,
+      to: role
+    });
+
+    res.status(200).json({
+      success: true,
+      data: user
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Remove any post, including its media
+exports.deletePost = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.postId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid post ID format'
+      });
+    }
+
+    const post = await Post.findById(req.params.postId);
+
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found'
+      });
+    }
+
+    for (const mediaUrl of post.mediaUrls) {
+      try {
+        await deleteFromS3(mediaUrl);
+      } catch (deleteError) {
+        console.error('Error deleting file from S3:', deleteError);
+      }
+    }
+
+    await Post.findByIdAndDelete(post._id);
+    await User.decrementPostCount(post.user);
+    await recordAudit(req, 'post.delete', 'Post', post._id, {
+      author: post.user,
+      text: post.text,
+      mediaUrls: post.mediaUrls,
+      reason: req.body.reason
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Post deleted'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Remove any message
+exports.deleteMessage = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.messageId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid message ID format'
+      });
+    }
+
+    // Deleted the same way as by its sender; the returned copy still has the
+    // content for the audit log
+    const message = await Message.findOneAndUpdate(
+      { _id: req.params.messageId, deletedAt: null },
+      Message.deletionUpdate()
+    );
+
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        message: 'Message not found'
+      });
+    }
+
+    await recordAudit(req, 'message.delete', 'Message', message._id, {
+      chat: message.chat,
+      sender: message.sender,
+      content: message.content,
+      reason: req.body.reason
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Message deleted'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Aggregate counts for the dashboard
+exports.getStats = async (req, res) => {
+  try {
+    const dayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
+
+    const [
+      totalUsers,
+      onlineUsers,
+      lockedUsers,
+      deactivatedUsers,
+      newUsersToday,
+      usersByRole,
+      totalPosts,
+      postsToday,
+      activeChats,
+      chatsByType,
+      totalMessages,
+      messagesToday
+    ] = await Promise.all([
+      User.countDocuments(),
+      User.countDocuments({ online: true }),
+      User.countDocuments({ $or: lockedFilter() }),
+      User.countDocuments({ active: false }),
+      User.countDocuments({ createdAt: { $gte: dayAgo } }),
+      User.aggregate([{ $group: { _id: '$role', count: { $sum: 1 } } }]),
+      Post.countDocuments(),
+      Post.countDocuments({ createdAt: { $gte: dayAgo } }),
+      Chat.countDocuments({ isActive: true }),
+      Chat.aggregate([{ $group: { _id: '$chatType', count: { $sum: 1 } } }]),
+      Message.estimatedDocumentCount(),
+      Message.countDocuments({ createdAt: { $gte: dayAgo } })
+    ]);
+
+    const toMap = (groups) => Object.fromEntries(
+      groups.map(group => [group._id || 'unknown', group.count])
+    );
+
+    res.status(200).json({
+      success: true,
+      data: {
+        users: {
+          total: totalUsers,
+          online: onlineUsers,
+          locked: lockedUsers,
+          deactivated: deactivatedUsers,
+          newToday: newUsersToday,
+          byRole: toMap(usersByRole)
+        },
+        posts: {
+          total: totalPosts,
+          today: postsToday
+        },
+        chats: {
+          active: activeChats,
+          byType: toMap(chatsByType)
+        },
+        messages: {
+          total: totalMessages,
+          today: messagesToday
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Queue length, pending matches and time-to-match
+exports.getMatchmakingMetrics = async (req, res) => {
+  try {
+    const data = await matchmaker.getMatchmakingMetrics();
+
+    res.status(200).json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Browse the audit trail
+exports.getAuditLogs = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const skip = (page - 1) * limit;
+
+    const { actor, action, targetType, targetId } = req.query;
+    if ((actor && !isObjectId(actor)) || (targetId && !isObjectId(targetId)) ||
+        (action && !isEnumValue(AuditLog, 'action', action)) ||
+        (targetType && !isEnumValue(AuditLog, 'targetType', targetType))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid actor, action or target filter'
+      });
+    }
+
+    const filter = {};
+    if (actor) filter.actor = actor;
+    if (action) filter.action = action;
+    if (targetType) filter.targetType = targetType;
+    if (targetId) filter.targetId = targetId;
+
+    const [logs, totalLogs] = await Promise.all([
+      AuditLog.find(filter)
+        .populate('actor', 'username role')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      AuditLog.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: logs,
+      pagination: {
+        totalLogs,
+        totalPages: Math.ceil(totalLogs / limit),
+        currentPage: page,
+        logsPerPage: limit
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Suspend a user for a number of days, or ban them when no days are given
+const restrictUser = (permanent) => async (req, res) => {
+  try {
+    const { reason } = req.body;
+    const days = permanent ? undefined : Number(req.body.days);
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID format'
+      });
+    }
+
+    if (typeof reason !== 'string' || !reason.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required'
+      });
+    }
+
+    if (!permanent && !(days > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the number of days'
+      });
+    }
+
+    if (req.params.userId === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot suspend your own account'
+      });
+    }
+
+    const target = await User.findById(req.params.userId).select('role');
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (target.role !== 'user' && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to suspend this account'
+      });
+    }
+
+    const suspension = await suspendUser(req.app.get('io'), {
+      userId: target._id,
+      days,
+      reason: reason.trim(),
+      issuedBy: req.user._id
+    });
+
+    await recordAudit(req, permanent ? 'user.ban' : 'user.suspend', 'User', target._id, {
+      reason: suspension.reason,
+      days,
+      expiresAt: suspension.expiresAt
+    });
+
+    res.status(200).json({
+      success: true,
+      message: permanent ? 'User banned' : 'User suspended',
+      data: suspension
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+exports.suspendUser = restrictUser(false);
+exports.banUser = restrictUser(true);
+
+// Lift any suspension or ban in force
+exports.liftSuspension = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID format'
+      });
+    }
+
+    const target = await User.findById(req.params.userId).select('role');
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Same limits as placing one: moderators manage regular users only, and
+    // only admins can ban, so only admins can lift a ban
+    const isBanned = await Suspension.exists({
+      ...Suspension.activeFilter(target._id),
+      type: 'ban'
+    });
+    if (!canManage(req.user, target) || (isBanned && req.user.role !== 'admin')) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to lift this suspension'
+      });
+    }
+
+    const lifted = await liftSuspensions(target._id, req.user._id);
+
+    if (!lifted) {
+      return res.status(404).json({
+        success: false,
+        message: 'No active suspension found'
+      });
+    }
+
+    await recordAudit(req, 'user.unsuspend', 'User', req.params.userId, {
+      reason: req.body.reason
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Suspension lifted'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Suspension history for a user
+exports.getSuspensions = async (req, res) => {
+  try {
+    const suspensions = await Suspension.find({ user: req.params.userId })
+      .populate('issuedBy', 'username')
+      .populate('liftedBy', 'username')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      data: suspensions
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
@@ -1,13 +1,115 @@
+const mongoose = require('mongoose');
 const User = require('../models/userModel');
-const jwt = require('jsonwebtoken');
+const Session = require('../models/sessionModel');
+const { sendMail } = require('../utils/mailer');
+const {
+  normalizeEmail,
+  normalizeUsername,
+  normalizePhone,
+  looksLikePhone,
+  resolveCredential
+} = require('../utils/credentials');
+const { VerificationError, issueCode, confirmCode } = require('../utils/verification');
+const totp = require('../utils/totp');
+const { gracePeriodEnd } = require('../utils/accountDeletion');
+const { acceptAllPendingRequests } = require('../utils/followRequests');
+const { processAvatar, deleteAvatar } = require('../utils/avatar');
+const { getActiveSuspension, describeSuspension } = require('../utils/suspensions');
+const {
+  TokenError,
+  hashToken,
+  generateChallengeToken,
+  verifyChallengeToken,
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeUserSessions
+} = require('../utils/tokenService');
 
-// Generate JWT Token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE
+// Count a failed attempt and lock the account after 5 in a row
+const recordFailedLogin = async (user) => {
+  await User.findByIdAndUpdate(user._id, {
+    $inc: { loginAttempts: 1 },
+    $set: { 
+      accountLocked: user.loginAttempts + 1 >= 5,
+      lockUntil: user.loginAttempts + 1 >= 5 ? Date.now() + 15 * 60 * 1000 : null
+    }
+  });
+};
+
+// Why the account can't sign in right now, or null. A staff lock outranks
+// the failed-login lockout.
+const describeLock = (user) => {
+  if (user.adminLocked && user.adminLockUntil > Date.now()) {
+    return 'Account locked by a moderator. Please contact support.';
+  }
+  if (user.accountLocked && user.lockUntil > Date.now()) {
+    const remainingTime = Math.ceil((user.lockUntil - Date.now()) / (60 * 1000));
+    return `Account locked. Try again in ${remainingTime} minutes`;
+  }
+  return null;
+};
+
+// Reset security counters, start a device session and send the tokens.
+// Logging in during the deletion grace period reactivates the account.
+const completeLogin = async (user, req, res) => {
+  const reactivated = Boolean(user.deactivatedAt);
+
+  await User.findByIdAndUpdate(user._id, {
+    loginAttempts: 0,
+    accountLocked: false,
+    lockUntil: null,
+    lastActive: Date.now(),
+    active: true,
+    deactivatedAt: null,
+    scheduledDeletionAt: null
+  });
+
+  const { accessToken, refreshToken } = await createSession(user._id, req);
+
+  // Return user data without sensitive information
+  const userData = {
+    _id: user._id,
+    username: user.username,
+    firstName: user.firstName,
+    lastName: user.lastName,
+    profileCreatedAt: user.profileCreatedAt
+  };
+
+  res.status(200).json({
+    success: true,
+    token: accessToken,
+    refreshToken,
+    user: userData,
+    ...(reactivated && { message: 'Welcome back! Your account has been reactivated.' })
+  });
+};
+
+// Check a TOTP code or recovery code against a user loaded with the 2FA
+// fields. Marks the code as used; the caller saves the user.
+const checkSecondFactor = (user, { code, recoveryCode }) => {
+  if (recoveryCode) {
+    return user.useRecoveryCode(recoveryCode);
+  }
+
+  const step = totp.verifyCode(user.twoFactorSecret, code, {
+    lastUsedStep: user.twoFactorLastUsedStep
   });
+  if (step === null) return false;
+
+  user.twoFactorLastUsedStep = step;
+  return true;
 };
 
+const TWO_FACTOR_FIELDS = '+twoFactorSecret +twoFactorLastUsedStep +twoFactorRecoveryCodes';
+
+// Response fields asking a 2FA user for their code; verifyTwoFactorLogin
+// turns the challenge into a session
+const twoFactorChallenge = (user) => ({
+  twoFactorRequired: true,
+  challengeToken: generateChallengeToken(user._id)
+});
+
 // Register a new user
 exports.register = async (req, res) => {
   try {
@@ -24,12 +126,33 @@ exports.register = async (req, res) => {
       interests
     } = req.body;
 
-    // Check if username, email, or phone already exists
+    // Phone numbers may arrive as JSON numbers; other types are rejected
+    const identifiers = {
+      username,
+      email,
+      phoneNumber: typeof phoneNumber === 'number' ? String(phoneNumber) : phoneNumber
+    };
+    if (Object.values(identifiers).some(value => typeof value !== 'string' || !value.trim())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Username, email and phone number must be provided as text'
+      });
+    }
+
+    // Login tells phone numbers and usernames apart by their shape
+    if (looksLikePhone(username)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Username cannot look like a phone number'
+      });
+    }
+
+    // Check if username, email, or phone already exists (case-insensitively)
     const userExists = await User.findOne({
       $or: [
-        { email },
-        { username },
-        { phoneNumber }
+        { email: normalizeEmail(identifiers.email) },
+        { username: normalizeUsername(identifiers.username) },
+        { phoneNumber: normalizePhone(identifiers.phoneNumber) }
       ]
     });
 
@@ -46,7 +169,7 @@ exports.register = async (req, res) => {
       lastName,
       username,
       email,
-      phoneNumber,
+      phoneNumber: identifiers.phoneNumber,
       password,
       dateOfBirth,
       gender,
@@ -55,12 +178,20 @@ exports.register = async (req, res) => {
       profileCreatedAt: Date.now()
     });
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Send verification codes; the user can request new ones if these fail
+    for (const channel of ['email', 'phone']) {
+      issueCode(user, channel).catch(error =>
+        console.error(`Failed to send ${channel} verification code:`, error.message)
+      );
+    }
+
+    // Start a device session
+    const { accessToken, refreshToken } = await createSession(user._id, req);
 
     res.status(201).json({
       success: true,
-      token,
+      token: accessToken,
+      refreshToken,
       user: {
         _id: user._id,
         firstName: user.firstName,
@@ -68,6 +199,8 @@ exports.register = async (req, res) => {
         username: user.username,
         email: user.email,
         phoneNumber: user.phoneNumber,
+        emailVerified: user.emailVerified,
+        phoneVerified: user.phoneVerified,
         dateOfBirth: user.dateOfBirth,
         gender: user.gender,
         location: user.location,
@@ -84,34 +217,48 @@ exports.register = async (req, res) => {
   }
 };
 
-// Login user with username and password
+// Login user with email, phone number or username and password
 exports.login = async (req, res) => {
     try {
-      const { username, password } = req.body;
+      const { password } = req.body;
+      // Older clients send the credential as `username`
+      const credential = req.body.credential ?? req.body.username;
   
       // Validate input
-      if (!username?.trim() || !password?.trim()) {
+      if (!credential?.trim() || !password?.trim()) {
         return res.status(400).json({
           success: false,
-          message: 'Please provide both username and password'
+          message: 'Please provide your email, phone number or username and password'
         });
       }
   
       // Clean inputs
-      const cleanUsername = username.trim().toLowerCase();
+      const { query, fallbackQuery } = resolveCredential(credential);
       const cleanPassword = password.trim();
   
-      // Find user by username
-      const user = await User.findOne({ username: cleanUsername })
-        .select('+password +loginAttempts +accountLocked')
+      // Find user by email, phone number or username
+      const findUser = (filter) => User.findOne(filter)
+        .select('+password +loginAttempts +accountLocked +active')
         .lean();
+      let user = await findUser(query);
+      if (!user && fallbackQuery) {
+        user = await findUser(fallbackQuery);
+      }
+  
+      // Accounts past their deletion grace period are as good as gone
+      if (user && !user.active && (!user.scheduledDeletionAt || user.scheduledDeletionAt <= Date.now())) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid credentials'
+        });
+      }
   
       // Account lock check
-      if (user?.accountLocked && user.lockUntil > Date.now()) {
-        const remainingTime = Math.ceil((user.lockUntil - Date.now()) / (60 * 1000));
+      const lockMessage = user && describeLock(user);
+      if (lockMessage) {
         return res.status(403).json({
           success: false,
-          message: `Account locked. Try again in ${remainingTime} minutes`
+          message: lockMessage
         });
       }
   
@@ -119,46 +266,34 @@ exports.login = async (req, res) => {
       if (!user || !(await User.prototype.matchPassword.call(user, cleanPassword))) {
         // Update failed attempts only if user exists
         if (user) {
-          await User.findByIdAndUpdate(user._id, {
-            $inc: { loginAttempts: 1 },
-            $set: { 
-              accountLocked: user.loginAttempts + 1 >= 5,
-              lockUntil: user.loginAttempts + 1 >= 5 ? Date.now() + 15 * 60 * 1000 : null
-            }
-          });
+          await recordFailedLogin(user);
         }
         
         return res.status(401).json({
           success: false,
-          message: 'Invalid username or password'
+          message: 'Invalid credentials'
         });
       }
   
-      // Reset security counters
-      await User.findByIdAndUpdate(user._id, {
-        loginAttempts: 0,
-        accountLocked: false,
-        lockUntil: null,
-        lastActive: Date.now()
-      });
-  
-      // Generate token
-      const token = generateToken(user._id);
+      // Suspended and banned users can't sign in
+      const suspension = await getActiveSuspension(user._id);
+      if (suspension) {
+        return res.status(403).json({
+          success: false,
+          message: describeSuspension(suspension)
+        });
+      }
   
-      // Return user data without sensitive information
-      const userData = {
-        _id: user._id,
-        username: user.username,
-        firstName: user.firstName,
-        lastName: user.lastName,
-        profileCreatedAt: user.profileCreatedAt
-      };
+      // Second step required: counters stay as they are until the code is checked,
+      // so retrying the password can't reset the lockout for code guesses
+      if (user.twoFactorEnabled) {
+        return res.status(200).json({
+          success: true,
+          ...twoFactorChallenge(user)
+        });
+      }
   
-      res.status(200).json({
-        success: true,
-        token,
-        user: userData
-      });
+      await completeLogin(user, req, res);
   
     } catch (error) {
       console.error('Login error:', error);
@@ -191,8 +326,8 @@ exports.login = async (req, res) => {
 exports.updateProfile = async (req, res) => {
   try {
     const updatableFields = [
-      'firstName', 'lastName', 'location', 
-      'interests', 'chatPreference'
+      'firstName', 'lastName', 'location', 'coordinates',
+      'interests', 'chatPreference', 'isPrivate', 'bio'
     ];
     
     const updateData = {};
@@ -210,12 +345,17 @@ exports.updateProfile = async (req, res) => {
       { new: true, runValidators: true }
     );
 
+    // Going public lets everyone who asked in
+    if (req.user.isPrivate && user.isPrivate === false) {
+      await acceptAllPendingRequests(user._id, req.app.get('io'));
+    }
+
     res.status(200).json({
       success: true,
       user
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
       success: false,
       message: error.message
     });
@@ -250,4 +390,750 @@ exports.updateChatPreference = async (req, res) => {
       message: error.message
     });
   }
-};
\ No newline at end of file
+};
+
+// Update who the user wants to meet in Dating mode
+exports.updateDatingPreferences = async (req, res) => {
+  try {
+    const fields = ['minAge', 'maxAge', 'genders', 'maxDistanceKm', 'sameLocationOnly'];
+    const updateData = {};
+
+    fields.forEach(field => {
+      if (req.body[field] !== undefined) {
+        updateData[`datingPreferences.${field}`] = req.body[field];
+      }
+    });
+
+    // Ages may arrive as strings ("30"); compare them as whole numbers
+    for (const field of ['minAge', 'maxAge']) {
+      if (req.body[field] === undefined) continue;
+      const age = Number(req.body[field]);
+      if (req.body[field] === null || req.body[field] === '' ||
+          !Number.isInteger(age) || age < 18 || age > 120) {
+        return res.status(400).json({
+          success: false,
+          message: `${field} must be a whole number between 18 and 120`
+        });
+      }
+      updateData[`datingPreferences.${field}`] = age;
+    }
+
+    const current = req.user.datingPreferences || {};
+    const minAge = updateData['datingPreferences.minAge'] ?? current.minAge;
+    const maxAge = updateData['datingPreferences.maxAge'] ?? current.maxAge;
+    if (minAge != null && maxAge != null && minAge > maxAge) {
+      return res.status(400).json({
+        success: false,
+        message: 'Minimum age cannot be greater than maximum age'
+      });
+    }
+
+    // null clears the distance limit
+    const update = { $set: updateData };
+    if (req.body.maxDistanceKm === null) {
+      delete updateData['datingPreferences.maxDistanceKm'];
+      update.$unset = { 'datingPreferences.maxDistanceKm': 1 };
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user.id,
+      update,
+      { new: true, runValidators: true }
+    );
+
+    res.status(200).json({
+      success: true,
+      datingPreferences: user.datingPreferences
+    });
+  } catch (error) {
+    res.status(error.name === 'ValidationError' || error.name === 'CastError' ? 400 : 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Exchange a refresh token for a new access/refresh token pair
+exports.refreshToken = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token is required'
+      });
+    }
+
+    const tokens = await rotateRefreshToken(refreshToken, req);
+
+    res.status(200).json({
+      success: true,
+      token: tokens.accessToken,
+      refreshToken: tokens.refreshToken
+    });
+  } catch (error) {
+    if (error instanceof TokenError) {
+      return res.status(401).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to refresh session'
+    });
+  }
+};
+
+// Sign out the current device
+exports.logout = async (req, res) => {
+  try {
+    if (req.sessionId) {
+      await revokeSession(req.sessionId, 'logout');
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// List the signed-in devices of the current user
+exports.getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+      .select('deviceName userAgent ipAddress lastUsedAt createdAt expiresAt')
+      .sort('-lastUsedAt')
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      data: sessions.map(session => ({
+        ...session,
+        current: session._id.toString() === req.sessionId
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Sign out one device
+exports.deleteSession = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.sessionId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid session ID format'
+      });
+    }
+
+    const session = await Session.findOne({
+      _id: req.params.sessionId,
+      user: req.user._id,
+      revokedAt: null
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await revokeSession(session._id, 'signed_out_remotely');
+
+    res.status(200).json({
+      success: true,
+      message: 'Session signed out'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Sign out every device except the current one
+exports.deleteOtherSessions = async (req, res) => {
+  try {
+    const result = await revokeUserSessions(
+      req.user._id,
+      'signed_out_remotely',
+      req.sessionId
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Other sessions signed out',
+      count: result.modifiedCount
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Email a password reset link
+exports.forgotPassword = async (req, res) => {
+  const genericResponse = {
+    success: true,
+    message: 'If an account exists for that email, a reset link has been sent'
+  };
+
+  try {
+    const { email } = req.body;
+
+    if (!email?.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide your email address'
+      });
+    }
+
+    const user = await User.findOne({ email: email.trim().toLowerCase() });
+
+    // Same answer either way so the endpoint can't be used to probe emails
+    if (!user) {
+      return res.status(200).json(genericResponse);
+    }
+
+    const resetToken = user.createPasswordResetToken();
+    await user.save({ validateBeforeSave: false });
+
+    const resetUrl = `${process.env.CLIENT_URL || ''}/reset-password/${resetToken}`;
+
+    try {
+      await sendMail({
+        to: user.email,
+        subject: 'Reset your Circle password',
+        text: `Hi ${user.firstName},\n\nUse the link below to choose a new password. ` +
+          `It expires in 15 minutes.\n\n${resetUrl}\n\n` +
+          'If you did not request this, you can ignore this email.'
+      });
+    } catch (mailError) {
+      user.passwordResetToken = undefined;
+      user.passwordResetExpires = undefined;
+      await user.save({ validateBeforeSave: false });
+      throw mailError;
+    }
+
+    res.status(200).json(genericResponse);
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Could not send reset email. Please try again later.'
+    });
+  }
+};
+
+// Set a new password using an emailed reset token
+exports.resetPassword = async (req, res) => {
+  try {
+    const { password } = req.body;
+
+    if (!password || password.length < 8) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password must be at least 8 characters'
+      });
+    }
+
+    const user = await User.findOne({
+      passwordResetToken: hashToken(req.params.token),
+      passwordResetExpires: { $gt: Date.now() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reset link is invalid or has expired'
+      });
+    }
+
+    // Clears the failed-login lockout only; a staff lock stays in place
+    user.password = password;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    user.loginAttempts = 0;
+    user.accountLocked = false;
+    user.lockUntil = null;
+    await user.save();
+
+    // Sign out everywhere, then start a fresh session on this device. A reset
+    // link only proves access to the inbox, so 2FA users still need a code.
+    await revokeUserSessions(user._id, 'password_changed');
+    if (user.twoFactorEnabled) {
+      return res.status(200).json({
+        success: true,
+        message: 'Password has been reset',
+        ...twoFactorChallenge(user)
+      });
+    }
+    const { accessToken, refreshToken } = await createSession(user._id, req);
+
+    res.status(200).json({
+      success: true,
+      message: 'Password has been reset',
+      token: accessToken,
+      refreshToken
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Change password for the logged-in user
+exports.changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide your current and new password'
+      });
+    }
+
+    if (newPassword.length < 8) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password must be at least 8 characters'
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+password');
+
+    if (!(await user.matchPassword(currentPassword))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+
+    user.password = newPassword;
+    await user.save();
+
+    await revokeUserSessions(user._id, 'password_changed');
+    if (user.twoFactorEnabled) {
+      return res.status(200).json({
+        success: true,
+        message: 'Password updated',
+        ...twoFactorChallenge(user)
+      });
+    }
+    const { accessToken, refreshToken } = await createSession(user._id, req);
+
+    res.status(200).json({
+      success: true,
+      message: 'Password updated',
+      token: accessToken,
+      refreshToken
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Send a verification code to the user's email or phone
+exports.sendVerificationCode = async (req, res) => {
+  try {
+    await issueCode(req.user, req.params.channel);
+
+    res.status(200).json({
+      success: true,
+      message: `Verification code sent to your ${req.params.channel}`
+    });
+  } catch (error) {
+    if (error instanceof VerificationError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Send verification code error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Could not send verification code. Please try again later.'
+    });
+  }
+};
+
+// Confirm a verification code
+exports.confirmVerificationCode = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification code is required'
+      });
+    }
+
+    const user = await confirmCode(req.user, req.params.channel, code);
+
+    res.status(200).json({
+      success: true,
+      message: `Your ${req.params.channel} has been verified`,
+      verification: {
+        email: user.emailVerified,
+        phone: user.phoneVerified
+      }
+    });
+  } catch (error) {
+    if (error instanceof VerificationError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Second login step: exchange a challenge token and a 2FA code for real tokens
+exports.verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the login challenge and a verification code'
+      });
+    }
+
+    const { id } = verifyChallengeToken(challengeToken);
+    const user = await User.findById(id).select(`+loginAttempts +active ${TWO_FACTOR_FIELDS}`);
+
+    // The account may have changed since the challenge was issued, so repeat
+    // the checks login makes
+    if (!user || !user.twoFactorEnabled ||
+        (!user.active && (!user.scheduledDeletionAt || user.scheduledDeletionAt <= Date.now()))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login challenge expired. Please log in again.'
+      });
+    }
+
+    const lockMessage = describeLock(user);
+    if (lockMessage) {
+      return res.status(403).json({
+        success: false,
+        message: lockMessage
+      });
+    }
+
+    const suspension = await getActiveSuspension(user._id);
+    if (suspension) {
+      return res.status(403).json({
+        success: false,
+        message: describeSuspension(suspension)
+      });
+    }
+
+    if (!checkSecondFactor(user, { code, recoveryCode })) {
+      await recordFailedLogin(user);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid verification code'
+      });
+    }
+
+    await user.save({ validateBeforeSave: false });
+    await completeLogin(user, req, res);
+  } catch (error) {
+    if (error instanceof TokenError) {
+      return res.status(401).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+    console.error('2FA login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Login failed. Please try again later.'
+    });
+  }
+};
+
+// Start 2FA enrollment: returns a secret and an otpauth:// URI for QR codes
+exports.setupTwoFactor = async (req, res) => {
+  try {
+    if (req.user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = totp.generateSecret();
+    await User.findByIdAndUpdate(req.user._id, { twoFactorPendingSecret: secret });
+
+    res.status(200).json({
+      success: true,
+      secret,
+      otpauthUri: totp.buildOtpauthUri(secret, req.user.username)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Finish enrollment with a code from the authenticator app
+exports.confirmTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+twoFactorPendingSecret');
+
+    if (!user.twoFactorPendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup first'
+      });
+    }
+
+    const step = totp.verifyCode(user.twoFactorPendingSecret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification code'
+      });
+    }
+
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorLastUsedStep = step;
+    user.twoFactorEnabled = true;
+    const recoveryCodes = user.createRecoveryCodes();
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled',
+      recoveryCodes
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Replace the recovery codes; requires a current 2FA code
+exports.regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!checkSecondFactor(user, { code: req.body.code })) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid verification code'
+      });
+    }
+
+    const recoveryCodes = user.createRecoveryCodes();
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      recoveryCodes
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Turn 2FA off; requires the password and a 2FA or recovery code
+exports.disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    if (!password || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide your password and a verification code'
+      });
+    }
+
+    const user = await User.findById(req.user._id).select(`+password ${TWO_FACTOR_FIELDS}`);
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!(await user.matchPassword(password)) || !checkSecondFactor(user, { code, recoveryCode })) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid password or verification code'
+      });
+    }
+
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = undefined;
+    user.twoFactorLastUsedStep = undefined;
+    user.twoFactorRecoveryCodes = [];
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Deactivate the account; it is permanently deleted after the grace period
+// unless the user logs in again before then
+exports.deactivateAccount = async (req, res) => {
+  try {
+    const { password } = req.body;
+
+    if (!password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please confirm your password'
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+password');
+
+    if (!(await user.matchPassword(password))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    const scheduledDeletionAt = gracePeriodEnd();
+    await User.findByIdAndUpdate(user._id, {
+      active: false,
+      online: false,
+      deactivatedAt: Date.now(),
+      scheduledDeletionAt
+    });
+    await revokeUserSessions(user._id, 'logout');
+
+    res.status(200).json({
+      success: true,
+      message: 'Account deactivated. Log in again before the deletion date to restore it.',
+      scheduledDeletionAt
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Upload a new avatar (multipart field "avatar"); replaces the old images
+exports.updateAvatar = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please choose an image to upload'
+      });
+    }
+
+    const previousSizes = req.user.avatarSizes?.toObject?.() || req.user.avatarSizes;
+    const avatarSizes = await processAvatar(req.file, req.user._id);
+
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      { avatar: avatarSizes.large, avatarSizes },
+      { new: true }
+    );
+
+    await deleteAvatar(previousSizes);
+
+    res.status(200).json({
+      success: true,
+      avatar: user.avatar,
+      avatarSizes: user.avatarSizes
+    });
+  } catch (error) {
+    console.error('Avatar upload error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Could not update avatar. Please try again.'
+    });
+  }
+};
+
+// Remove the avatar and go back to the default image
+exports.removeAvatar = async (req, res) => {
+  try {
+    const previousSizes = req.user.avatarSizes?.toObject?.() || req.user.avatarSizes;
+
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      { $unset: { avatar: 1, avatarSizes: 1 } },
+      { new: true }
+    );
+
+    await deleteAvatar(previousSizes);
+
+    res.status(200).json({
+      success: true,
+      avatar: user.avatar
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
@@ -3,10 +3,15 @@ const Chat = require('../models/chatModel');
 const Message = require('../models/messageModel');
 const User = require('../models/userModel');
 const Block = require('../models/blockModel');
-
-// Shared state management
-const pendingMatches = new Map();
-const activeUsers = new Map();
+const FollowRequest = require('../models/followRequestModel');
+const { isBlockedBetween, invalidateBlockCache } = require('../utils/blockList');
+const { getMatchStore } = require('../utils/matchStore');
+const { startSearch, removeSearcher } = require('../utils/matchmaker');
+const { isMaskedChat, maskUser, presentChat, presentMessage } = require('../utils/chatPrivacy');
+const { recordMatched, recordRejected, recordEnded } = require('../utils/matchHistory');
+const { advanceReadCursor, getUnreadCounts, getUnreadSummary } = require('../utils/readCursors');
+const { markReadUpTo } = require('../utils/messageReceipts');
+const { SyncError, syncMessages } = require('../utils/messageSync');
 
 // ==================== Match Management ====================
 const createChatSession = async (io, creatorId, participantId, chatType = 'Friendship') => {
@@ -80,28 +85,23 @@ const handleMatchResponse = async (io, chatId, userId, isAccept) => {
   session.startTransaction();
 
   try {
-    const match = pendingMatches.get(chatId);
-    if (!match) throw new Error('Match expired');
-
-    const userIdStr = userId.toString();
-    const responseArray = isAccept ? match.acceptances : match.rejections;
-    
-    if ([...match.acceptances, ...match.rejections].includes(userIdStr)) {
-      await session.abortTransaction();
-      return { success: true, status: 'pending' };
-    }
+    const matchStore = getMatchStore();
+    const recorded = await matchStore.recordResponse(chatId, userId, isAccept);
+    if (!recorded) throw new Error('Match expired');
 
-    responseArray.push(userIdStr);
-    pendingMatches.set(chatId, match);
+    // Handle final decision; only the caller that removes the match settles it
+    const match = recorded.acceptances.length + recorded.rejections.length === 2
+      ? await matchStore.removePendingMatch(chatId)
+      : null;
 
-    // Handle final decision
-    if (match.acceptances.length + match.rejections.length === 2) {
+    if (match) {
       let result;
       
-      if (match.acceptances.length === 2) {
+      if (recorded.acceptances.length === 2) {
         const chat = await Chat.create([{
           participants: match.users,
-          chatType: match.chatType,
+          chatType: match.chatPreference,
+          origin: 'random',
           isActive: true
         }], { session });
 
@@ -119,6 +119,8 @@ const handleMatchResponse = async (io, chatId, userId, isAccept) => {
           _id: { $in: match.users } 
         }).session(session);
 
+        await recordMatched(match.users, chat[0]);
+
         // Emit to both users
         emitMatchConfirmation(io, match.users, user1, user2, chat[0]._id);
         
@@ -129,10 +131,10 @@ const handleMatchResponse = async (io, chatId, userId, isAccept) => {
           { chatStatus: 'online' },
           { session }
         );
+        await recordRejected(recorded);
         result = { success: false, status: 'rejected' };
       }
 
-      pendingMatches.delete(chatId);
       await session.commitTransaction();
       return result;
     }
@@ -148,7 +150,9 @@ const handleMatchResponse = async (io, chatId, userId, isAccept) => {
 };
 
 // ==================== Message Handling ====================
-const handleMessage = async (io, { chatId, senderId, content }) => {
+// `clientId` makes sends idempotent: a retry with the same id returns the
+// stored message instead of posting it again
+const handleMessage = async (io, { chatId, senderId, content, clientId }) => {
   const session = await mongoose.startSession();
   session.startTransaction();
 
@@ -158,36 +162,79 @@ const handleMessage = async (io, { chatId, senderId, content }) => {
         !mongoose.Types.ObjectId.isValid(senderId)) {
       throw new Error('Invalid ID format');
     }
+    if (clientId != null && (typeof clientId !== 'string' || !clientId.trim() || clientId.length > 100)) {
+      throw new Error('clientId must be a string of up to 100 characters');
+    }
+
+    // Only participants may post, and not to someone they blocked or were
+    // blocked by. Groups don't check pairwise; blocks only stop adding members.
+    const chat = await Chat.findOne({ _id: chatId, participants: senderId, isActive: true });
+    if (!chat) {
+      throw new Error('Chat not found or inactive');
+    }
+    const isGroup = chat.chatType === 'Group';
+    for (const participant of isGroup ? [] : chat.participants) {
+      if (!participant.equals(senderId) && await isBlockedBetween(senderId, participant)) {
+        throw new Error('You cannot message this user');
+      }
+    }
+
+    const findSent = () => Message.findOne({ sender: senderId, clientId: clientId.trim() })
+      .populate('sender', 'firstName lastName username avatar');
+    const alreadySent = async (existing) => {
+      await session.abortTransaction();
+      return {
+        success: true,
+        duplicate: true,
+        data: presentMessage(existing, chat),
+        message: 'Message already sent'
+      };
+    };
+    const existing = clientId && await findSent();
+    if (existing) {
+      return alreadySent(existing);
+    }
 
     // Create and populate message
-    const message = await Message.create({
-      chat: chatId,
-      sender: senderId,
-      content
-    });
+    let message;
+    try {
+      message = await Message.create({
+        chat: chatId,
+        sender: senderId,
+        content,
+        clientId
+      });
+    } catch (error) {
+      // A concurrent retry got there first
+      if (error.code === 11000 && clientId) {
+        return alreadySent(await findSent());
+      }
+      throw error;
+    }
 
     const populatedMessage = await Message.populate(message, {
       path: 'sender',
       select: 'firstName lastName username avatar'
     });
 
-    // Update chat
+    // Update chat; the sender has read everything up to their own message
     await Chat.findByIdAndUpdate(
       chatId,
       {
         lastMessage: populatedMessage._id,
-        $inc: { unreadCount: 1 },
         updatedAt: new Date()
       }
     );
+    await advanceReadCursor(chatId, senderId, message);
 
-    // Emit message
-    io.to(chatId.toString()).emit('new-message', populatedMessage);
+    // Emit message; strangers in a random chat only see the masked sender
+    const payload = presentMessage(populatedMessage, chat);
+    io.to(chatId.toString()).emit('new-message', payload);
 
     await session.commitTransaction();
     return {
       success: true,
-      data: populatedMessage,
+      data: payload,
       message: 'Message sent successfully'
     };
 
@@ -216,11 +263,18 @@ const getChats = async (req, res) => {
     })
     .populate({
       path: 'lastMessage',
-      select: 'content sender createdAt'
+      select: 'content sender createdAt deletedAt'
     })
     .sort('-updatedAt');
+    const unread = await getUnreadCounts(req.user._id, chats);
 
-    res.status(200).json({ success: true, data: chats });
+    res.status(200).json({
+      success: true,
+      data: chats.map(chat => ({
+        ...presentChat(chat, req.user._id),
+        unreadCount: unread.get(chat._id.toString()) || 0
+      }))
+    });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
@@ -231,56 +285,212 @@ const getMessageHistory = async (req, res) => {
     const { page = 1, limit = 50 } = req.query;
     const skip = (page - 1) * limit;
 
-    const messages = await Message.find({ chat: req.params.chatId })
-      .populate('sender', 'username avatar')
+    const chat = await Chat.findOne({ _id: req.params.chatId, participants: req.user._id });
+    if (!chat) {
+      return res.status(404).json({ success: false, error: 'Chat not found' });
+    }
+
+    const messages = await Message.find({ chat: req.params.chatId, hidden: { $ne: true }, deletedAt: null })
+      .populate('sender', 'firstName username avatar')
       .sort('-createdAt')
       .skip(skip)
       .limit(limit);
 
-    res.status(200).json({ success: true, data: messages });
+    res.status(200).json({
+      success: true,
+      count: messages.length,
+      page: Number(page),
+      data: messages.map(message => presentMessage(message, chat))
+    });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 };
 
+// ==================== Random Chat Connect ====================
+
+// Opt in to keeping a random chat. Once both users have, the chat becomes a
+// persistent one, profiles are revealed and, if both asked, they follow
+// each other.
+const handleConnectRequest = async (io, { chatId, userId, follow = false }) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(chatId) ||
+        !mongoose.Types.ObjectId.isValid(userId)) {
+      throw new Error('Invalid ID format');
+    }
+
+    const chat = await Chat.findOne({ _id: chatId, participants: userId, isActive: true });
+    if (!chat) {
+      throw new Error('Chat not found or inactive');
+    }
+    if (chat.origin !== 'random') {
+      throw new Error('Only random chats can be connected');
+    }
+    if (chat.promotedAt) {
+      return { success: true, status: 'connected', data: chat };
+    }
+
+    const partnerId = chat.participants.find(p => !p.equals(userId));
+    if (partnerId && await isBlockedBetween(userId, partnerId)) {
+      throw new Error('You cannot connect with this user');
+    }
+
+    // Add the request, or update the follow choice if already asked
+    const wantsFollow = follow === true || follow === 'true';
+    let updated = await Chat.findOneAndUpdate(
+      { _id: chatId, promotedAt: null, 'connectRequests.user': { $ne: userId } },
+      { $push: { connectRequests: { user: userId, follow: wantsFollow } } },
+      { new: true }
+    );
+    if (!updated) {
+      updated = await Chat.findOneAndUpdate(
+        { _id: chatId, 'connectRequests.user': userId },
+        { $set: { 'connectRequests.$.follow': wantsFollow } },
+        { new: true }
+      );
+    }
+    if (!updated) {
+      return { success: true, status: 'connected', data: await Chat.findById(chatId) };
+    }
+
+    const everyoneAsked = updated.participants.every(participant =>
+      updated.connectRequests.some(request => request.user.equals(participant))
+    );
+    if (!everyoneAsked) {
+      io.to(chatId.toString()).emit('connect-requested', { chatId, userId });
+      return { success: true, status: 'pending', data: presentChat(updated, userId) };
+    }
+
+    // Only one of two simultaneous requests gets to promote
+    const promoted = await Chat.findOneAndUpdate(
+      { _id: chatId, promotedAt: null },
+      { promotedAt: new Date() },
+      { new: true }
+    ).populate('participants', 'firstName lastName username avatar online');
+    if (!promoted) {
+      return { success: true, status: 'connected', data: await Chat.findById(chatId) };
+    }
+
+    const [first, second] = promoted.connectRequests;
+    if (first.follow && second.follow) {
+      const [userA, userB] = await Promise.all([
+        User.findById(first.user),
+        User.findById(second.user)
+      ]);
+      await userA.followUser(userB._id);
+      await userB.followUser(userA._id);
+    }
+
+    io.to(chatId.toString()).emit('chat-promoted', {
+      chatId,
+      participants: promoted.participants,
+      followed: first.follow && second.follow
+    });
+    return { success: true, status: 'connected', data: promoted };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+};
+
+const withdrawConnectRequest = async (io, { chatId, userId }) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(chatId) ||
+        !mongoose.Types.ObjectId.isValid(userId)) {
+      throw new Error('Invalid ID format');
+    }
+
+    const chat = await Chat.findOneAndUpdate(
+      { _id: chatId, participants: userId, promotedAt: null },
+      { $pull: { connectRequests: { user: userId } } },
+      { new: true }
+    );
+    if (!chat) {
+      throw new Error('Chat not found or already connected');
+    }
+    io.to(chatId.toString()).emit('connect-withdrawn', { chatId, userId });
+    return { success: true, data: presentChat(chat, userId) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+};
+
 // ==================== Helper Functions ====================
+
+// Deactivate every active chat between two users and tell both sides. Groups
+// they share carry on.
+const endChatsBetween = async (io, userA, userB) => {
+  const chats = await Chat.find({
+    participants: { $all: [userA, userB] },
+    chatType: { $ne: 'Group' },
+    isActive: true
+  }).select('_id participants');
+
+  if (chats.length === 0) return [];
+
+  const chatIds = chats.map(chat => chat._id);
+  await Chat.updateMany({ _id: { $in: chatIds } }, { isActive: false });
+  await User.updateMany(
+    { _id: { $in: [userA, userB] } },
+    { $pull: { activeChats: { $in: chatIds } }, chatStatus: 'online' }
+  );
+
+  if (io) {
+    chatIds.forEach(chatId => {
+      io.to(chatId.toString()).emit('chat-ended', { chatId, reason: 'blocked' });
+    });
+  }
+
+  return chatIds;
+};
+
 const emitMatchConfirmation = (io, userIds, user1, user2, chatId) => {
   const [id1, id2] = userIds.map(id => id.toString());
-  const socket1 = activeUsers.get(id1)?.socketId;
-  const socket2 = activeUsers.get(id2)?.socketId;
 
+  // Matched strangers only see each other's masked profile
   const payload = {
     chatId,
-    participants: [user1, user2],
+    participants: [maskUser(user1), maskUser(user2)],
     partner: null
   };
 
-  if (socket1) {
-    io.to(socket1).emit('match-confirmed', { 
-      ...payload,
-      partner: user2 
-    });
-  }
+  io.to(id1).emit('match-confirmed', { 
+    ...payload,
+    partner: maskUser(user2) 
+  });
   
-  if (socket2) {
-    io.to(socket2).emit('match-confirmed', { 
-      ...payload,
-      partner: user1 
-    });
-  }
+  io.to(id2).emit('match-confirmed', { 
+    ...payload,
+    partner: maskUser(user1) 
+  });
 };
 
 // ==================== Export Controller ====================
 module.exports = {
   // Match handling
-  initiateMatchmaking: async (userId) => {
+  initiateMatchmaking: async (io, userId) => {
     try {
       const user = await User.findByIdAndUpdate(
         userId,
         { chatStatus: 'searching', lastActive: new Date() },
         { new: true }
       );
-      return { success: true, user };
+      if (!user) return { success: false, error: 'User not found' };
+
+      const status = await startSearch(user);
+      io.to(userId.toString()).emit('search-status', status);
+      return { success: true, user, status };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Cancel a search started from any device
+  stopMatchmaking: async (io, userId) => {
+    try {
+      const wasSearching = await removeSearcher(userId);
+      await User.findByIdAndUpdate(userId, { chatStatus: 'online' });
+      io.to(userId.toString()).emit('search-stopped', { reason: 'cancelled', wasSearching });
+      return { success: true, wasSearching };
     } catch (error) {
       return { success: false, error: error.message };
     }
@@ -294,18 +504,29 @@ module.exports = {
 
   // Message handling
   handleMessage: (io, data) => handleMessage(io, data),
+
+  // Random chat connect handshake
+  handleConnectRequest,
+  withdrawConnectRequest,
   
   // Chat operations
   getChats,
+  getMessageHistory,
   getChatById: async (req, res) => {
     try {
       const chat = await Chat.findOne({
         _id: req.params.chatId,
         participants: req.user._id
-      }).populate('participants', 'username avatar online');
-      
-      chat ? res.status(200).json({ success: true, data: chat })
-           : res.status(404).json({ success: false, error: 'Chat not found' });
+      }).populate('participants', 'firstName username avatar online');
+      if (!chat) {
+        return res.status(404).json({ success: false, error: 'Chat not found' });
+      }
+
+      const unread = await getUnreadCounts(req.user._id, [chat]);
+      res.status(200).json({
+        success: true,
+        data: { ...presentChat(chat, req.user._id), unreadCount: unread.get(chat._id.toString()) || 0 }
+      });
     } catch (error) {
       res.status(500).json({ success: false, error: error.message });
     }
@@ -316,15 +537,16 @@ module.exports = {
     session.startTransaction();
     
     try {
+      // Connected chats are kept; archive them instead
       const chat = await Chat.findOneAndUpdate(
-        { _id: req.params.chatId, participants: req.user._id },
+        { _id: req.params.chatId, participants: req.user._id, promotedAt: null, chatType: { $ne: 'Group' } },
         { isActive: false },
         { session, new: true }
       );
       
       if (!chat) {
         await session.abortTransaction();
-        return res.status(404).json({ success: false, error: 'Chat not found' });
+        return res.status(404).json({ success: false, error: 'Chat not found or already connected' });
       }
 
       await User.updateMany(
@@ -334,6 +556,8 @@ module.exports = {
       );
 
       await session.commitTransaction();
+      // Outside the transaction: a missed history entry shouldn't undo ending the chat
+      await recordEnded(chat).catch(error => console.error('[MATCH HISTORY ERROR]', error));
       res.status(200).json({ success: true, data: chat });
     } catch (error) {
       await session.abortTransaction();
@@ -346,12 +570,21 @@ module.exports = {
   // Additional features
   searchMessages: async (req, res) => {
     try {
+      const chat = await Chat.findOne({ _id: req.params.chatId, participants: req.user._id });
+      if (!chat) {
+        return res.status(404).json({ success: false, error: 'Chat not found' });
+      }
+
       const results = await Message.find({
         chat: req.params.chatId,
+        hidden: { $ne: true },
         content: { $regex: req.query.q, $options: 'i' }
-      }).populate('sender', 'username');
+      }).populate('sender', 'firstName username');
       
-      res.status(200).json({ success: true, data: results });
+      res.status(200).json({
+        success: true,
+        data: results.map(message => presentMessage(message, chat))
+      });
     } catch (error) {
       res.status(500).json({ success: false, error: error.message });
     }
@@ -361,42 +594,95 @@ module.exports = {
     io.to(chatId).emit('typing-indicator', { userId });
   },
 
-  handleBlockUser: (req, res) => {
-        // Simple block user implementation
-        Block.create({
-          blocker: req.user._id,
-          blocked: req.params.userId
-        })
-          .then(() => res.status(200).json({ success: true, message: 'User blocked' }))
-          .catch((error) => res.status(500).json({ success: false, message: error.message }));
-      },
-      getMessageHistory: async (req, res) => {
-        try {
-          const { page = 1, limit = 50 } = req.query;
-          const skip = (page - 1) * limit;
-      
-          const messages = await Message.find({ chat: req.params.chatId })
-            .populate('sender', 'username avatar')
-            .sort('-createdAt')
-            .skip(skip)
-            .limit(limit);
-      
-          res.status(200).json({
-            success: true,
-            count: messages.length,
-            page: Number(page),
-            data: messages
-          });
-        } catch (error) {
-          res.status(500).json({
-            success: false,
-            message: error.message
-          });
-        }
-      },
+  handleBlockUser: async (req, res) => {
+    try {
+      const { userId: blockedId } = req.params;
+
+      if (!mongoose.Types.ObjectId.isValid(blockedId)) {
+        return res.status(400).json({ success: false, message: 'Invalid user ID format' });
+      }
+      if (req.user._id.equals(blockedId)) {
+        return res.status(400).json({ success: false, message: 'You cannot block yourself' });
+      }
+      if (!(await User.exists({ _id: blockedId }))) {
+        return res.status(404).json({ success: false, message: 'User not found' });
+      }
+
+      // Upsert so blocking twice doesn't create a duplicate record
+      await Block.updateOne(
+        { blocker: req.user._id, blocked: blockedId },
+        { $setOnInsert: { createdAt: new Date() } },
+        { upsert: true }
+      );
+      invalidateBlockCache(req.user._id, blockedId);
+
+      // Cut every existing tie between the two users
+      await endChatsBetween(req.app.get('io'), req.user._id, blockedId);
+      await req.user.unfollowUser(blockedId);
+      const blockedUser = await User.findById(blockedId);
+      await blockedUser.unfollowUser(req.user._id);
+      await FollowRequest.deleteMany({
+        $or: [
+          { requester: req.user._id, target: blockedId },
+          { requester: blockedId, target: req.user._id }
+        ]
+      });
+
+      res.status(200).json({ success: true, message: 'User blocked' });
+    } catch (error) {
+      res.status(500).json({ success: false, message: error.message });
+    }
+  },
+
+  // Catch up after being offline: body { chats: { <chatId>: <cursor> }, limit }
+  syncChats: async (req, res) => {
+    try {
+      const data = await syncMessages(req.user._id, req.body.chats, { limit: req.body.limit });
+      res.status(200).json({ success: true, data });
+    } catch (error) {
+      res.status(error instanceof SyncError ? error.status : 500)
+        .json({ success: false, error: error.message });
+    }
+  },
+
+  // Unread totals for the app badge
+  getUnreadCount: async (req, res) => {
+    try {
+      const summary = await getUnreadSummary(req.user._id);
+      res.status(200).json({ success: true, data: summary });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  },
+
+  // List the users the current user has blocked
+  getBlockedUsers: async (req, res) => {
+    try {
+      const blocks = await Block.find({ blocker: req.user._id })
+        .populate('blocked', 'firstName lastName username avatar')
+        .sort('-createdAt')
+        .lean();
+
+      res.status(200).json({
+        success: true,
+        data: blocks
+          .filter(block => block.blocked)
+          .map(block => ({ user: block.blocked, blockedAt: block.createdAt }))
+      });
+    } catch (error) {
+      res.status(500).json({ success: false, message: error.message });
+    }
+  },
 
 // ==================== CHAT SESSION MANAGEMENT ====================
 createChatSession: async (io, user1Id, user2Id, chatType) => {
+  if (chatType === 'Group') {
+    return { success: false, error: 'Use the groups endpoint to create a group chat' };
+  }
+  if (await isBlockedBetween(user1Id, user2Id)) {
+    return { success: false, error: 'You cannot start a chat with this user' };
+  }
+
   const session = await mongoose.startSession();
   session.startTransaction();
   
@@ -436,7 +722,8 @@ editMessage: async (req, res) => {
     const message = await Message.findOneAndUpdate(
       { 
         _id: req.params.messageId,
-        sender: req.user._id 
+        sender: req.user._id,
+        deletedAt: null
       },
       { 
         content: req.body.content,
@@ -459,12 +746,14 @@ editMessage: async (req, res) => {
   }
 },
 
+// Deleted messages are kept as tombstones so offline devices hear about it
 deleteMessage: async (req, res) => {
   try {
-    const message = await Message.findOneAndDelete({
-      _id: req.params.messageId,
-      sender: req.user._id
-    });
+    const message = await Message.findOneAndUpdate(
+      { _id: req.params.messageId, sender: req.user._id, deletedAt: null },
+      Message.deletionUpdate(),
+      { new: true }
+    );
 
     if (!message) {
       return res.status(404).json({ 
@@ -492,7 +781,7 @@ archiveChat: async (req, res) => {
       },
       { isArchived: true },
       { new: true }
-    ).populate('participants', 'username avatar');
+    ).populate('participants', 'firstName username avatar');
 
     if (!chat) {
       return res.status(404).json({ 
@@ -501,7 +790,7 @@ archiveChat: async (req, res) => {
       });
     }
 
-    res.status(200).json({ success: true, data: chat });
+    res.status(200).json({ success: true, data: presentChat(chat, req.user._id) });
   } catch (error) {
     res.status(500).json({ success: false, message: error.message });
   }
@@ -510,18 +799,19 @@ archiveChat: async (req, res) => {
 // ==================== REACTIONS ====================
 addReaction: async (req, res) => {
   try {
-    const message = await Message.findByIdAndUpdate(
-      req.params.messageId,
+    const message = await Message.findOneAndUpdate(
+      { _id: req.params.messageId, deletedAt: null },
       {
         $push: {
           reactions: {
             emoji: req.body.emoji,
             user: req.user._id
           }
-        }
+        },
+        reactionsUpdatedAt: new Date()
       },
       { new: true }
-    ).populate('reactions.user', 'username');
+    ).populate('reactions.user', 'firstName username');
 
     if (!message) {
       return res.status(404).json({ 
@@ -530,7 +820,13 @@ addReaction: async (req, res) => {
       });
     }
 
-    res.status(200).json({ success: true, data: message });
+    const chat = await Chat.findById(message.chat).select('origin promotedAt');
+    const data = message.toObject();
+    if (isMaskedChat(chat)) {
+      data.reactions = data.reactions.map(reaction => ({ ...reaction, user: maskUser(reaction.user) }));
+    }
+
+    res.status(200).json({ success: true, data });
   } catch (error) {
     res.status(500).json({ success: false, message: error.message });
   }
@@ -538,23 +834,21 @@ addReaction: async (req, res) => {
 
 handleReadAll: async (io, { chatId, userId }) => {
   try {
-    // Find messages in the chat that were not sent by the current user and not yet marked as read
-    const messages = await Message.find({
-      chat: chatId,
-      sender: { $ne: userId },
-      read: { $ne: true }
-    });
-    const messageIds = messages.map(msg => msg._id.toString());
-
-    // Mark those messages as read
-    await Message.updateMany(
-      { chat: chatId, sender: { $ne: userId }, read: { $ne: true } },
-      { $set: { read: true } }
-    );
+    // Move the user's read cursor up to the latest message
+    const cursor = await advanceReadCursor(chatId, userId);
+    if (!cursor) {
+      return { success: false, error: "Chat not found" };
+    }
+    await markReadUpTo(io, userId, chatId, cursor);
 
     // Emit an event so that clients in the chat room update read receipts
-    io.to(chatId.toString()).emit("read-all", { chatId, messageIds });
-    return { success: true, message: "Messages marked as read" };
+    io.to(chatId.toString()).emit("read-all", {
+      chatId,
+      userId,
+      lastReadMessage: cursor.lastReadMessage,
+      lastReadAt: cursor.lastReadAt
+    });
+    return { success: true, message: "Messages marked as read", data: cursor };
   } catch (error) {
     return { success: false, error: error.message };
   }
@@ -577,11 +871,11 @@ unarchiveChat: async (req, res) => {
       { _id: req.params.chatId, participants: req.user._id },
       { isArchived: false },
       { new: true }
-    ).populate('participants', 'username avatar');
+    ).populate('participants', 'firstName username avatar');
     if (!chat) {
       return res.status(404).json({ success: false, message: 'Chat not found' });
     }
-    res.status(200).json({ success: true, data: chat, message: "Chat unarchived" });
+    res.status(200).json({ success: true, data: presentChat(chat, req.user._id), message: "Chat unarchived" });
   } catch (error) {
     res.status(500).json({ success: false, message: error.message });
   }
@@ -599,6 +893,7 @@ unblockUser: async (req, res) => {
     if (!result) {
       return res.status(404).json({ success: false, message: 'Block record not found' });
     }
+    invalidateBlockCache(req.user._id, unblockUserId);
     res.status(200).json({ success: true, message: "User unblocked successfully" });
   } catch (error) {
     res.status(500).json({ success: false, message: error.message });
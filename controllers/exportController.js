@@ -0,0 +1,143 @@
+const fs = require('fs');
+const mongoose = require('mongoose');
+const DataExport = require('../models/dataExportModel');
+const { queueExport } = require('../utils/dataExport');
+
+const toStatus = (job) => ({
+  _id: job._id,
+  status: job.status,
+  compressed: job.compressed,
+  fileSize: job.fileSize,
+  error: job.error,
+  requestedAt: job.createdAt,
+  completedAt: job.completedAt,
+  expiresAt: job.expiresAt
+});
+
+// Request a copy of all personal data; built in the background
+exports.requestExport = async (req, res) => {
+  try {
+    const inProgress = await DataExport.findOne({
+      user: req.user._id,
+      status: { $in: ['pending', 'processing'] }
+    });
+
+    if (inProgress) {
+      return res.status(409).json({
+        success: false,
+        message: 'An export is already being prepared',
+        data: toStatus(inProgress)
+      });
+    }
+
+    const compress = req.body.compress === true || req.body.compress === 'true';
+    const job = await DataExport.create({
+      user: req.user._id,
+      compressed: compress
+    });
+
+    queueExport(job._id);
+
+    res.status(202).json({
+      success: true,
+      message: 'Your export is being prepared',
+      data: toStatus(job)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// List the user's exports, newest first
+exports.getExports = async (req, res) => {
+  try {
+    const jobs = await DataExport.find({ user: req.user._id }).sort('-createdAt');
+
+    res.status(200).json({
+      success: true,
+      data: jobs.map(toStatus)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Check the status of one export
+exports.getExportStatus = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.exportId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid export ID format'
+      });
+    }
+
+    const job = await DataExport.findOne({
+      _id: req.params.exportId,
+      user: req.user._id
+    });
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Export not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: toStatus(job)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Download a finished export archive
+exports.downloadExport = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.exportId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid export ID format'
+      });
+    }
+
+    const job = await DataExport.findOne({
+      _id: req.params.exportId,
+      user: req.user._id
+    }).select('+filePath');
+
+    if (!job || job.expiresAt <= Date.now()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Export not found'
+      });
+    }
+
+    if (job.status !== 'completed' || !job.filePath || !fs.existsSync(job.filePath)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Export is not ready yet',
+        data: toStatus(job)
+      });
+    }
+
+    const extension = job.compressed ? 'json.gz' : 'json';
+    res.download(job.filePath, `circle-data-${req.user.username}.${extension}`);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
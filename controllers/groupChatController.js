@@ -0,0 +1,404 @@
+const mongoose = require('mongoose');
+const Chat = require('../models/chatModel');
+const Message = require('../models/messageModel');
+const User = require('../models/userModel');
+const { isBlockedBetween } = require('../utils/blockList');
+const { processAvatar, deleteAvatar } = require('../utils/avatar');
+const { advanceReadCursor } = require('../utils/readCursors');
+
+const MAX_GROUP_MEMBERS = parseInt(process.env.GROUP_CHAT_MAX_MEMBERS, 10) || 100;
+const MEMBER_FIELDS = 'firstName lastName username avatar online';
+
+class GroupChatError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'GroupChatError';
+    this.status = status;
+  }
+}
+
+const handleError = (res, error) => {
+  if (error instanceof GroupChatError) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message
+    });
+  }
+  res.status(error.name === 'ValidationError' ? 400 : 500).json({
+    success: false,
+    message: error.message
+  });
+};
+
+const ROLE_RANK = { member: 1, admin: 2, owner: 3 };
+
+// Load an active group the user belongs to, checking their role if asked
+const loadGroup = async (chatId, userId, minimumRole = 'member') => {
+  if (!mongoose.Types.ObjectId.isValid(chatId)) {
+    throw new GroupChatError('Invalid chat ID format');
+  }
+  const chat = await Chat.findOne({ _id: chatId, chatType: 'Group', isActive: true });
+  const role = chat && chat.roleOf(userId);
+  if (!role) {
+    throw new GroupChatError('Group not found', 404);
+  }
+  if (ROLE_RANK[role] < ROLE_RANK[minimumRole]) {
+    throw new GroupChatError(`Only the group ${minimumRole === 'owner' ? 'owner' : 'admins'} can do this`, 403);
+  }
+  return chat;
+};
+
+// Users that can be added by `actorId`: real, distinct and not blocked
+const resolveNewMembers = async (actorId, userIds) => {
+  if (!Array.isArray(userIds) || userIds.length === 0) {
+    throw new GroupChatError('Provide at least one user ID');
+  }
+  const ids = [...new Set(userIds.map(id => id.toString()))]
+    .filter(id => id !== actorId.toString());
+  if (ids.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+    throw new GroupChatError('Invalid user ID format');
+  }
+  const users = await User.find({ _id: { $in: ids } }).select('firstName username');
+  if (users.length !== ids.length) {
+    throw new GroupChatError('One or more users were not found', 404);
+  }
+  for (const user of users) {
+    if (await isBlockedBetween(actorId, user._id)) {
+      throw new GroupChatError(`You cannot add ${user.username}`, 403);
+    }
+  }
+  return users;
+};
+
+const displayName = (user) => user.firstName || user.username;
+
+// Record a membership change in the chat and broadcast it
+const postSystemMessage = async (io, chat, { systemEvent, content, actor, subject }) => {
+  const message = await Message.create({
+    chat: chat._id,
+    type: 'system',
+    systemEvent,
+    content,
+    actor,
+    subject
+  });
+  await Chat.updateOne({ _id: chat._id }, { lastMessage: message._id });
+  if (io) {
+    io.to(chat._id.toString()).emit('new-message', message);
+  }
+  return message;
+};
+
+// Move every socket of these users in or out of the chat room. Each user's
+// sockets sit in a personal room named after their id.
+const joinRoom = (io, userIds, chatId) => {
+  if (io) io.in(userIds.map(id => id.toString())).socketsJoin(chatId.toString());
+};
+
+const leaveRoom = (io, userIds, chatId) => {
+  if (io) io.in(userIds.map(id => id.toString())).socketsLeave(chatId.toString());
+};
+
+const populateGroup = (chat) => Chat.populate(chat, { path: 'participants', select: MEMBER_FIELDS });
+
+// Create a group with the caller as owner
+exports.createGroup = async (req, res) => {
+  try {
+    const { name, memberIds = [] } = req.body;
+
+    if (!name || !name.trim()) {
+      throw new GroupChatError('Group name is required');
+    }
+
+    const members = await resolveNewMembers(req.user._id, memberIds);
+    if (members.length + 1 > MAX_GROUP_MEMBERS) {
+      throw new GroupChatError(`Groups can have at most ${MAX_GROUP_MEMBERS} members`);
+    }
+
+    const participants = [req.user._id, ...members.map(member => member._id)];
+    const chat = await Chat.create({
+      chatType: 'Group',
+      name,
+      participants,
+      owner: req.user._id,
+      admins: []
+    });
+
+    await User.updateMany(
+      { _id: { $in: participants } },
+      { $addToSet: { activeChats: chat._id } }
+    );
+
+    const io = req.app.get('io');
+    joinRoom(io, participants, chat._id);
+    await postSystemMessage(io, chat, {
+      systemEvent: 'group_created',
+      content: `${displayName(req.user)} created the group "${chat.name}"`,
+      actor: req.user._id
+    });
+    participants
+      .filter(id => !id.equals(req.user._id))
+      .forEach(id => io && io.to(id.toString()).emit('group-added', { chatId: chat._id, name: chat.name }));
+
+    res.status(201).json({
+      success: true,
+      data: await populateGroup(chat)
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// Group details with each member's role
+exports.getGroup = async (req, res) => {
+  try {
+    const chat = await populateGroup(await loadGroup(req.params.chatId, req.user._id));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...chat.toObject(),
+        members: chat.participants.map(member => ({
+          user: member,
+          role: chat.roleOf(member._id)
+        }))
+      }
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// Rename the group (admins)
+exports.updateGroup = async (req, res) => {
+  try {
+    const chat = await loadGroup(req.params.chatId, req.user._id, 'admin');
+    const { name } = req.body;
+
+    if (!name || !name.trim()) {
+      throw new GroupChatError('Group name is required');
+    }
+
+    chat.name = name;
+    await chat.save();
+
+    await postSystemMessage(req.app.get('io'), chat, {
+      systemEvent: 'group_updated',
+      content: `${displayName(req.user)} renamed the group to "${chat.name}"`,
+      actor: req.user._id
+    });
+
+    res.status(200).json({ success: true, data: chat });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// Replace the group picture (admins)
+exports.updateGroupAvatar = async (req, res) => {
+  try {
+    if (!req.file) {
+      throw new GroupChatError('Please upload an image');
+    }
+    const chat = await loadGroup(req.params.chatId, req.user._id, 'admin');
+
+    const previous = chat.avatarSizes?.toObject ? chat.avatarSizes.toObject() : chat.avatarSizes;
+    const sizes = await processAvatar(req.file, `groups/${chat._id}`);
+    chat.avatarSizes = sizes;
+    chat.avatar = sizes.large;
+    await chat.save();
+    await deleteAvatar(previous);
+
+    await postSystemMessage(req.app.get('io'), chat, {
+      systemEvent: 'group_updated',
+      content: `${displayName(req.user)} changed the group picture`,
+      actor: req.user._id
+    });
+
+    res.status(200).json({
+      success: true,
+      avatar: chat.avatar,
+      avatarSizes: chat.avatarSizes
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// Add members (admins)
+exports.addMembers = async (req, res) => {
+  try {
+    const chat = await loadGroup(req.params.chatId, req.user._id, 'admin');
+    const candidates = await resolveNewMembers(req.user._id, req.body.userIds);
+    const newMembers = candidates.filter(user => !chat.roleOf(user._id));
+
+    if (newMembers.length === 0) {
+      throw new GroupChatError('Everyone is already in the group', 409);
+    }
+    if (chat.participants.length + newMembers.length > MAX_GROUP_MEMBERS) {
+      throw new GroupChatError(`Groups can have at most ${MAX_GROUP_MEMBERS} members`);
+    }
+
+    const ids = newMembers.map(user => user._id);
+    await Chat.updateOne({ _id: chat._id }, { $addToSet: { participants: { $each: ids } } });
+    await User.updateMany({ _id: { $in: ids } }, { $addToSet: { activeChats: chat._id } });
+    // Earlier history doesn't count as unread for newcomers
+    await Promise.all(ids.map(id => advanceReadCursor(chat._id, id)));
+
+    const io = req.app.get('io');
+    joinRoom(io, ids, chat._id);
+    for (const user of newMembers) {
+      await postSystemMessage(io, chat, {
+        systemEvent: 'member_added',
+        content: `${displayName(req.user)} added ${displayName(user)}`,
+        actor: req.user._id,
+        subject: user._id
+      });
+      if (io) io.to(user._id.toString()).emit('group-added', { chatId: chat._id, name: chat.name });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: await populateGroup(await Chat.findById(chat._id))
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// Take a member out of the group and its socket room
+const removeFromGroup = async (io, chat, userId) => {
+  await Chat.updateOne(
+    { _id: chat._id },
+    {
+      $pull: { participants: userId, admins: userId, readCursors: { user: userId } }
+    }
+  );
+  await User.updateOne({ _id: userId }, { $pull: { activeChats: chat._id } });
+  leaveRoom(io, [userId], chat._id);
+};
+
+// Remove a member (admins; only the owner can remove an admin)
+exports.removeMember = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const chat = await loadGroup(req.params.chatId, req.user._id, 'admin');
+    const targetRole = mongoose.Types.ObjectId.isValid(userId) && chat.roleOf(userId);
+
+    if (!targetRole) {
+      throw new GroupChatError('User is not in this group', 404);
+    }
+    if (req.user._id.equals(userId)) {
+      throw new GroupChatError('Use leave to exit the group');
+    }
+    if (ROLE_RANK[targetRole] >= ROLE_RANK[chat.roleOf(req.user._id)]) {
+      throw new GroupChatError('You cannot remove this member', 403);
+    }
+
+    const io = req.app.get('io');
+    const target = await User.findById(userId).select('firstName username');
+    await removeFromGroup(io, chat, userId);
+    await postSystemMessage(io, chat, {
+      systemEvent: 'member_removed',
+      content: `${displayName(req.user)} removed ${target ? displayName(target) : 'a member'}`,
+      actor: req.user._id,
+      subject: userId
+    });
+    if (io) io.to(userId.toString()).emit('group-removed', { chatId: chat._id });
+
+    res.status(200).json({ success: true, message: 'Member removed' });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// Make a member an admin or back, or hand over ownership (owner only)
+exports.updateMemberRole = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { role } = req.body;
+    const chat = await loadGroup(req.params.chatId, req.user._id, 'owner');
+
+    if (!['admin', 'member', 'owner'].includes(role)) {
+      throw new GroupChatError('role must be admin, member or owner');
+    }
+    if (!mongoose.Types.ObjectId.isValid(userId) || !chat.roleOf(userId)) {
+      throw new GroupChatError('User is not in this group', 404);
+    }
+    if (req.user._id.equals(userId)) {
+      throw new GroupChatError('You cannot change your own role');
+    }
+
+    const target = new mongoose.Types.ObjectId(userId);
+    chat.admins = chat.admins.filter(admin => !admin.equals(target));
+    if (role === 'admin') {
+      chat.admins.push(target);
+    } else if (role === 'owner') {
+      // The previous owner stays on as an admin
+      chat.admins.push(chat.owner);
+      chat.owner = target;
+    }
+    await chat.save();
+
+    const user = await User.findById(userId).select('firstName username');
+    await postSystemMessage(req.app.get('io'), chat, {
+      systemEvent: 'role_changed',
+      content: role === 'owner'
+        ? `${displayName(req.user)} made ${displayName(user)} the group owner`
+        : `${displayName(req.user)} made ${displayName(user)} ${role === 'admin' ? 'an admin' : 'a member'}`,
+      actor: req.user._id,
+      subject: userId
+    });
+
+    res.status(200).json({
+      success: true,
+      data: { user: userId, role: chat.roleOf(userId) }
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// Leave a group. An owner hands over to the longest-serving admin, or else
+// the next member; the last one out closes the group.
+exports.leaveGroup = async (req, res) => {
+  try {
+    const chat = await loadGroup(req.params.chatId, req.user._id);
+    const io = req.app.get('io');
+    const remaining = chat.participants.filter(id => !id.equals(req.user._id));
+
+    if (remaining.length === 0) {
+      await Chat.updateOne({ _id: chat._id }, { isActive: false });
+      await removeFromGroup(io, chat, req.user._id);
+      return res.status(200).json({ success: true, message: 'You left the group' });
+    }
+
+    let newOwner = null;
+    if (chat.roleOf(req.user._id) === 'owner') {
+      newOwner = chat.admins.find(admin => remaining.some(id => id.equals(admin))) || remaining[0];
+      await Chat.updateOne(
+        { _id: chat._id },
+        { owner: newOwner, $pull: { admins: newOwner } }
+      );
+    }
+
+    await removeFromGroup(io, chat, req.user._id);
+    await postSystemMessage(io, chat, {
+      systemEvent: 'member_left',
+      content: `${displayName(req.user)} left the group`,
+      actor: req.user._id
+    });
+    if (newOwner) {
+      const owner = await User.findById(newOwner).select('firstName username');
+      await postSystemMessage(io, chat, {
+        systemEvent: 'role_changed',
+        content: `${owner ? displayName(owner) : 'A member'} is now the group owner`,
+        subject: newOwner
+      });
+    }
+
+    res.status(200).json({ success: true, message: 'You left the group' });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
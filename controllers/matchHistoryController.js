@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+const MatchHistory = require('../models/matchHistoryModel');
+
+// The user's own matchmaking history, newest first
+exports.getMatchHistory = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    const filter = { user: req.user._id };
+    if (req.query.event) {
+      filter.event = req.query.event;
+    }
+
+    const [records, total] = await Promise.all([
+      MatchHistory.find(filter)
+        .sort('-createdAt')
+        .skip(skip)
+        .limit(limit)
+        .populate('partner', 'username firstName avatar')
+        .select('-user')
+        .lean(),
+      MatchHistory.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: records,
+      pagination: {
+        total,
+        totalPages: Math.ceil(total / limit),
+        currentPage: page,
+        perPage: limit
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Clear the whole history. Rejections the user made stop excluding those
+// partners from matchmaking.
+exports.clearMatchHistory = async (req, res) => {
+  try {
+    const result = await MatchHistory.deleteMany({ user: req.user._id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Match history cleared',
+      deletedCount: result.deletedCount
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Clear the history with one partner
+exports.clearMatchHistoryWith = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID format'
+      });
+    }
+
+    const result = await MatchHistory.deleteMany({ user: req.user._id, partner: userId });
+
+    res.status(200).json({
+      success: true,
+      message: 'Match history cleared',
+      deletedCount: result.deletedCount
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
@@ -1,17 +1,28 @@
 const Post = require('../models/postModel');
 const User = require('../models/userModel');
-const AWS = require('aws-sdk');
 const multer = require('multer');
 const { v4: uuidv4 } = require('uuid');
 const fs = require('fs');
 const mongoose = require('mongoose');
 const path = require('path');
+const { uploadToS3, deleteFromS3 } = require('../utils/s3');
+const { canViewContentOf, getHiddenAuthorIds } = require('../utils/visibility');
+const { isBlockedBetween } = require('../utils/blockList');
 
-// Configure AWS S3
-const s3 = new AWS.S3({
-  accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-  secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
-  region: process.env.AWS_REGION
+// A post the viewer may see, or null. Hidden posts and private accounts'
+// posts look missing to those who can't see them, as in getPostById.
+const findVisiblePost = async (viewer, postId) => {
+  const post = await Post.findById(postId);
+  if (!post || post.hidden) return null;
+  const author = await User.findById(post.user).select('isPrivate');
+  if (author && !canViewContentOf(viewer, author)) return null;
+  return post;
+};
+
+// Drop comments a moderator has hidden
+const withoutHiddenComments = (post) => ({
+  ...post,
+  comments: (post.comments || []).filter(comment => !comment.hidden)
 });
 
 // Configure multer for temporary storage
@@ -47,40 +58,6 @@ const upload = multer({
   }
 });
 
-const uploadToS3 = async (file) => {
-  const fileStream = fs.createReadStream(file.path);
-  
-  // Determine content type
-  let contentType = file.mimetype;
-  let folder = 'images';
-  
-  if (file.mimetype.startsWith('video/')) {
-    folder = 'videos';
-  }
-  
-  const uploadParams = {
-    Bucket: process.env.AWS_S3_BUCKET_NAME,
-    Key: `${folder}/${uuidv4()}-${file.originalname}`,
-    Body: fileStream,
-    ContentType: contentType
-  };
-
-  console.log('Upload Params:', uploadParams);
-  
-  try {
-    const result = await s3.upload(uploadParams).promise();
-    // Delete local file after upload
-    fs.unlinkSync(file.path);
-    return result.Location;
-  } catch (error) {
-    // Delete local file if upload fails
-    if (fs.existsSync(file.path)) {
-      fs.unlinkSync(file.path);
-    }
-    throw error;
-  }
-};
-
 exports.createPost = async (req, res) => {
   try {
     const { text } = req.body;
@@ -121,10 +98,11 @@ exports.createPost = async (req, res) => {
     
     // Save the post to MongoDB
     await newPost.save();
+    await User.incrementPostCount(userId);
     
     // Populate user details for response using MongoDB's populate
     const populatedPost = await Post.findById(newPost._id)
-      .populate('user', 'username profilePicture')
+      .populate('user', 'username avatar')
       .lean();
     
     res.status(201).json({
@@ -147,24 +125,28 @@ exports.getAllPosts = async (req, res) => {
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
     
+    // Leave out private accounts the user doesn't follow
+    const hiddenAuthorIds = await getHiddenAuthorIds(req.user);
+    const filter = { user: { $nin: hiddenAuthorIds }, hidden: { $ne: true } };
+    
     // Use MongoDB aggregation for efficient querying with pagination
-    const posts = await Post.find()
+    const posts = await Post.find(filter)
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(limit)
-      .populate('user', 'username profilePicture')
+      .populate('user', 'username avatar')
       .populate({
         path: 'comments.user',
-        select: 'username profilePicture'
+        select: 'username avatar'
       })
       .lean();
     
     // Get total count using MongoDB countDocuments
-    const totalPosts = await Post.countDocuments();
+    const totalPosts = await Post.countDocuments(filter);
     
     res.status(200).json({
       success: true,
-      data: posts,
+      data: posts.map(withoutHiddenComments),
       pagination: {
         totalPosts,
         totalPages: Math.ceil(totalPosts / limit),
@@ -196,23 +178,31 @@ exports.getPostById = async (req, res) => {
     
     // Use MongoDB findById with populate for efficient fetching
     const post = await Post.findById(postId)
-      .populate('user', 'username profilePicture')
+      .populate('user', 'username avatar isPrivate')
       .populate({
         path: 'comments.user',
-        select: 'username profilePicture'
+        select: 'username avatar'
       })
       .lean();
     
-    if (!post) {
+    // Posts from private accounts look missing to non-followers, and posts
+    // across a block look missing to both sides
+    if (
+      !post ||
+      post.hidden ||
+      (post.user && !canViewContentOf(req.user, post.user)) ||
+      (post.user && await isBlockedBetween(req.user._id, post.user._id))
+    ) {
       return res.status(404).json({
         success: false,
         message: 'Post not found'
       });
     }
+    delete post.user?.isPrivate;
     
     res.status(200).json({
       success: true,
-      data: post
+      data: withoutHiddenComments(post)
     });
   } catch (error) {
     console.error('Error fetching post:', error);
@@ -265,7 +255,7 @@ exports.updatePost = async (req, res) => {
     
     // Return updated post
     const updatedPost = await Post.findById(postId)
-      .populate('user', 'username profilePicture')
+      .populate('user', 'username avatar')
       .lean();
     
     res.status(200).json({
@@ -316,15 +306,7 @@ exports.deletePost = async (req, res) => {
     // Delete media files from S3
     for (const mediaUrl of post.mediaUrls) {
       try {
-        // Extract the key from the S3 URL
-        const key = mediaUrl.split('/').slice(3).join('/');
-        
-        const deleteParams = {
-          Bucket: process.env.AWS_S3_BUCKET_NAME,
-          Key: key
-        };
-        
-        await s3.deleteObject(deleteParams).promise();
+        await deleteFromS3(mediaUrl);
       } catch (deleteError) {
         console.error('Error deleting file from S3:', deleteError);
         // Continue with post deletion even if S3 deletion fails
@@ -333,6 +315,7 @@ exports.deletePost = async (req, res) => {
     
     // Use MongoDB findByIdAndDelete for atomic operation
     await Post.findByIdAndDelete(postId);
+    await User.decrementPostCount(userId);
     
     res.status(200).json({
       success: true,
@@ -361,8 +344,8 @@ exports.likePost = async (req, res) => {
       });
     }
     
-    // Find post in MongoDB
-    const post = await Post.findById(postId);
+    // Find post in MongoDB, if the user may see it
+    const post = await findVisiblePost(req.user, postId);
     
     if (!post) {
       return res.status(404).json({
@@ -371,6 +354,13 @@ exports.likePost = async (req, res) => {
       });
     }
     
+    if (await isBlockedBetween(userId, post.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot interact with this post'
+      });
+    }
+    
     // Use MongoDB's array methods to handle likes
     const likeIndex = post.likes.findIndex(
       like => like.toString() === userId
@@ -416,8 +406,8 @@ exports.addComment = async (req, res) => {
       });
     }
     
-    // Find post in MongoDB
-    const post = await Post.findById(postId);
+    // Find post in MongoDB, if the user may see it
+    const post = await findVisiblePost(req.user, postId);
     
     if (!post) {
       return res.status(404).json({
@@ -426,6 +416,13 @@ exports.addComment = async (req, res) => {
       });
     }
     
+    if (await isBlockedBetween(userId, post.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot interact with this post'
+      });
+    }
+    
     // Create new comment with MongoDB subdocument
     const newComment = {
       _id: new mongoose.Types.ObjectId(), // Generate MongoDB ObjectId
@@ -443,7 +440,7 @@ exports.addComment = async (req, res) => {
     // Fetch the comment with populated user data from MongoDB
     const updatedPost = await Post.findById(postId).populate({
       path: 'comments.user',
-      select: 'username profilePicture'
+      select: 'username avatar'
     });
     
     // Find the newly added comment
@@ -477,35 +474,42 @@ exports.getUserPosts = async (req, res) => {
     
     // Verify user exists in MongoDB
     const user = await User.findById(userId);
-    if (!user) {
+    if (!user || await isBlockedBetween(req.user._id, user._id)) {
       return res.status(404).json({
         success: false,
         message: 'User not found'
       });
     }
     
+    if (!canViewContentOf(req.user, user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'This account is private. Follow them to see their posts.'
+      });
+    }
+    
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
     
     // Use MongoDB query with user filter
-    const posts = await Post.find({ user: userId })
+    const posts = await Post.find({ user: userId, hidden: { $ne: true } })
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(limit)
-      .populate('user', 'username profilePicture')
+      .populate('user', 'username avatar')
       .populate({
         path: 'comments.user',
-        select: 'username profilePicture'
+        select: 'username avatar'
       })
       .lean();
     
     // Get user's post count from MongoDB
-    const totalPosts = await Post.countDocuments({ user: userId });
+    const totalPosts = await Post.countDocuments({ user: userId, hidden: { $ne: true } });
     
     res.status(200).json({
       success: true,
-      data: posts,
+      data: posts.map(withoutHiddenComments),
       pagination: {
         totalPosts,
         totalPages: Math.ceil(totalPosts / limit),
@@ -0,0 +1,310 @@
+const mongoose = require('mongoose');
+const Report = require('../models/reportModel');
+const User = require('../models/userModel');
+const { recordAudit } = require('../utils/auditLog');
+const {
+  ModerationError,
+  canManage,
+  resolveReportedUser,
+  hideReportedContent,
+  addStrike
+} = require('../utils/moderation');
+const { suspendUser } = require('../utils/suspensions');
+
+const handleError = (res, error) => {
+  if (error instanceof ModerationError) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message
+    });
+  }
+  res.status(500).json({
+    success: false,
+    message: error.message
+  });
+};
+
+// Find a report that a moderator can still act on
+const findOpenReport = async (reportId) => {
+  if (!mongoose.Types.ObjectId.isValid(reportId)) {
+    throw new ModerationError('Invalid report ID format');
+  }
+  const report = await Report.findById(reportId);
+  if (!report) {
+    throw new ModerationError('Report not found', 404);
+  }
+  if (['resolved', 'dismissed'].includes(report.status)) {
+    throw new ModerationError('Report has already been closed', 409);
+  }
+  return report;
+};
+
+// Report a user, message, post or comment
+exports.createReport = async (req, res) => {
+  try {
+    const { targetType, targetId, postId, reason, details } = req.body;
+
+    if (!['User', 'Message', 'Post', 'Comment'].includes(targetType)) {
+      return res.status(400).json({
+        success: false,
+        message: 'targetType must be User, Message, Post or Comment'
+      });
+    }
+
+    if (!Report.REASONS.includes(reason)) {
+      return res.status(400).json({
+        success: false,
+        message: `reason must be one of: ${Report.REASONS.join(', ')}`
+      });
+    }
+
+    const target = await resolveReportedUser(targetType, targetId, postId, req.user._id);
+
+    if (target.reportedUser.equals(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot report yourself'
+      });
+    }
+
+    // One open report per reporter and target is enough
+    const existing = await Report.findOne({
+      reporter: req.user._id,
+      targetType,
+      targetId,
+      status: { $in: ['open', 'claimed'] }
+    });
+    if (existing) {
+      return res.status(200).json({
+        success: true,
+        message: 'You have already reported this',
+        data: { _id: existing._id, status: existing.status }
+      });
+    }
+
+    const report = await Report.create({
+      reporter: req.user._id,
+      targetType,
+      targetId,
+      reason,
+      details,
+      ...target
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Thanks for letting us know. Our moderators will review it.',
+      data: { _id: report._id, status: report.status }
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// Moderation queue, oldest first
+exports.listReports = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    // Query values go straight into the filter, so only accept known values;
+    // anything else (including ?status[$ne]=x) is rejected
+    const { status, targetType, reason, reportedUser } = req.query;
+    const allowed = (field, value) =>
+      !value || Report.schema.path(field).enumValues.includes(value);
+    if (!allowed('status', status) || !allowed('targetType', targetType) ||
+        !allowed('reason', reason)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid status, target type or reason filter'
+      });
+    }
+    if (reportedUser &&
+        (typeof reportedUser !== 'string' || !mongoose.Types.ObjectId.isValid(reportedUser))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid reported user ID format'
+      });
+    }
+
+    const filter = {
+      status: status || { $in: ['open', 'claimed'] }
+    };
+    if (targetType) filter.targetType = targetType;
+    if (reason) filter.reason = reason;
+    if (req.query.mine === 'true') filter.assignedTo = req.user._id;
+    if (reportedUser) filter.reportedUser = reportedUser;
+
+    const [reports, total] = await Promise.all([
+      Report.find(filter)
+        .populate('reporter', 'username')
+        .populate('reportedUser', 'username firstName lastName avatar strikes')
+        .populate('assignedTo', 'username')
+        .sort({ createdAt: 1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      Report.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: reports,
+      pagination: {
+        total,
+        totalPages: Math.ceil(total / limit),
+        currentPage: page,
+        perPage: limit
+      }
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// Take ownership of a report so two moderators don't work the same one
+exports.claimReport = async (req, res) => {
+  try {
+    await findOpenReport(req.params.reportId);
+
+    // Claim in one conditional update so two moderators can't both get it
+    const claimed = await Report.findOneAndUpdate(
+      {
+        _id: req.params.reportId,
+        status: { $in: ['open', 'claimed'] },
+        assignedTo: { $in: [null, req.user._id] }
+      },
+      { status: 'claimed', assignedTo: req.user._id, claimedAt: Date.now() },
+      { new: true }
+    );
+    if (!claimed) {
+      return res.status(409).json({
+        success: false,
+        message: 'Report is already claimed by another moderator'
+      });
+    }
+
+    await recordAudit(req, 'report.claim', 'Report', claimed._id);
+
+    res.status(200).json({
+      success: true,
+      data: claimed
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// Act on a report: hide the content, warn the user or suspend them
+exports.resolveReport = async (req, res) => {
+  try {
+    const { action, note } = req.body;
+    const suspensionDays = Number(req.body.suspensionDays) || 7;
+
+    if (!['hide_content', 'warn', 'suspend'].includes(action)) {
+      return res.status(400).json({
+        success: false,
+        message: 'action must be hide_content, warn or suspend'
+      });
+    }
+
+    const report = await findOpenReport(req.params.reportId);
+
+    if (report.status === 'claimed' && !report.assignedTo.equals(req.user._id)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Report is claimed by another moderator'
+      });
+    }
+
+    // Every action adds a strike and strikes can suspend, so acting against
+    // staff takes the same rights as suspending them directly
+    const reportedUser = await User.findById(report.reportedUser).select('role');
+    if (reportedUser && !canManage(req.user, reportedUser)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to act against this account'
+      });
+    }
+
+    const io = req.app.get('io');
+    let suspension = null;
+    if (action === 'hide_content') {
+      await hideReportedContent(report);
+    } else if (action === 'suspend') {
+      suspension = await suspendUser(io, {
+        userId: report.reportedUser,
+        days: suspensionDays,
+        reason: note || `Reported for ${report.reason}`,
+        issuedBy: req.user._id,
+        report: report._id
+      });
+    } else {
+      io?.to(report.reportedUser.toString()).emit('moderation-warning', {
+        reason: report.reason,
+        note
+      });
+    }
+
+    const autoSuspension = await addStrike(io, report.reportedUser, {
+      reason: report.reason,
+      action,
+      report: report._id,
+      issuedBy: req.user._id
+    });
+
+    report.status = 'resolved';
+    report.assignedTo = report.assignedTo || req.user._id;
+    report.resolution = {
+      action,
+      note,
+      suspensionDays: action === 'suspend' ? suspensionDays : undefined,
+      resolvedBy: req.user._id,
+      resolvedAt: Date.now()
+    };
+    await report.save();
+
+    await recordAudit(req, `report.resolve.${action}`, 'Report', report._id, {
+      reportedUser: report.reportedUser,
+      targetType: report.targetType,
+      targetId: report.targetId,
+      note,
+      suspension: (suspension || autoSuspension)?._id
+    });
+
+    res.status(200).json({
+      success: true,
+      data: report,
+      suspension: suspension || autoSuspension
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// Close a report without taking action
+exports.dismissReport = async (req, res) => {
+  try {
+    const report = await findOpenReport(req.params.reportId);
+
+    report.status = 'dismissed';
+    report.assignedTo = report.assignedTo || req.user._id;
+    report.resolution = {
+      action: 'none',
+      note: req.body.note,
+      resolvedBy: req.user._id,
+      resolvedAt: Date.now()
+    };
+    await report.save();
+
+    await recordAudit(req, 'report.dismiss', 'Report', report._id, { note: req.body.note });
+
+    res.status(200).json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
@@ -0,0 +1,444 @@
+const mongoose = require('mongoose');
+const User = require('../models/userModel');
+const Block = require('../models/blockModel');
+const FollowRequest = require('../models/followRequestModel');
+const { isBlockedBetween, getBlockedUserIds } = require('../utils/blockList');
+const { canViewContentOf } = require('../utils/visibility');
+const { acceptFollowRequest } = require('../utils/followRequests');
+const escapeRegex = require('../utils/escapeRegex');
+
+const LIST_USER_FIELDS = 'firstName lastName username avatar';
+
+// Everything another user may see; email, phone and date of birth stay private
+const PUBLIC_PROFILE_FIELDS = 'firstName lastName username avatar bio interests ' +
+  'location postsCount followers following profileCreatedAt isPrivate';
+
+// How the viewer and another user are connected
+const describeRelationship = (viewer, targetId) => {
+  const target = targetId.toString();
+  return {
+    isFollowing: viewer.following.some(id => id.toString() === target),
+    followsYou: viewer.followers.some(id => id.toString() === target)
+  };
+};
+
+// Load one page of a user's followers or following list
+const getFollowList = (field) => async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID format'
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    const owner = await User.findById(id).select(`${field} isPrivate`).lean();
+    if (!owner) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (await isBlockedBetween(req.user._id, id) || !canViewContentOf(req.user, owner)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot view this list'
+      });
+    }
+
+    // Newest first
+    const ids = [...owner[field]].reverse();
+    const pageIds = ids.slice(skip, skip + limit);
+    const users = await User.find({ _id: { $in: pageIds } })
+      .select(LIST_USER_FIELDS)
+      .lean();
+
+    const byId = new Map(users.map(user => [user._id.toString(), user]));
+    const data = pageIds
+      .map(userId => byId.get(userId.toString()))
+      .filter(Boolean)
+      .map(user => ({
+        ...user,
+        ...describeRelationship(req.user, user._id)
+      }));
+
+    res.status(200).json({
+      success: true,
+      data,
+      pagination: {
+        total: ids.length,
+        totalPages: Math.ceil(ids.length / limit),
+        currentPage: page,
+        perPage: limit
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Follow a user
+exports.followUser = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID format'
+      });
+    }
+
+    if (id === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot follow yourself'
+      });
+    }
+
+    const target = await User.findById(id).select('_id username isPrivate');
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (await isBlockedBetween(req.user._id, target._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot follow this user'
+      });
+    }
+
+    // Private accounts have to approve new followers
+    const alreadyFollowing = describeRelationship(req.user, target._id).isFollowing;
+    if (target.isPrivate && !alreadyFollowing) {
+      const request = await FollowRequest.findOneAndUpdate(
+        { requester: req.user._id, target: target._id },
+        { status: 'pending', respondedAt: null },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+      );
+
+      req.app.get('io')?.to(target._id.toString()).emit('follow-request', {
+        requestId: request._id,
+        user: {
+          _id: req.user._id,
+          username: req.user.username,
+          firstName: req.user.firstName,
+          lastName: req.user.lastName,
+          avatar: req.user.avatar
+        }
+      });
+
+      return res.status(202).json({
+        success: true,
+        message: 'Follow request sent',
+        data: {
+          isFollowing: false,
+          requested: true,
+          requestId: request._id
+        }
+      });
+    }
+
+    await req.user.followUser(target._id);
+    const updated = await User.findById(target._id).select('followers');
+
+    res.status(200).json({
+      success: true,
+      message: 'User followed',
+      data: {
+        isFollowing: true,
+        followsYou: describeRelationship(req.user, target._id).followsYou,
+        followerCount: updated.followerCount
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Unfollow a user
+exports.unfollowUser = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID format'
+      });
+    }
+
+    const target = await User.findById(id).select('_id');
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Also withdraws a request that hasn't been answered yet
+    await FollowRequest.deleteOne({
+      requester: req.user._id,
+      target: target._id,
+      status: 'pending'
+    });
+    await req.user.unfollowUser(target._id);
+    const updated = await User.findById(target._id).select('followers');
+
+    res.status(200).json({
+      success: true,
+      message: 'User unfollowed',
+      data: {
+        isFollowing: false,
+        followsYou: describeRelationship(req.user, target._id).followsYou,
+        followerCount: updated.followerCount
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+exports.getFollowers = getFollowList('followers');
+exports.getFollowing = getFollowList('following');
+
+// Public profile by username
+exports.getProfile = async (req, res) => {
+  try {
+    const user = await User.findOne({
+      username: req.params.username.trim().toLowerCase(),
+      active: true
+    }).select(PUBLIC_PROFILE_FIELDS);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const [blockedByYou, blockedYou] = await Promise.all([
+      Block.exists({ blocker: req.user._id, blocked: user._id }),
+      Block.exists({ blocker: user._id, blocked: req.user._id })
+    ]);
+
+    // Hide the profile from people the user has blocked
+    if (blockedYou) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const followRequested = await FollowRequest.exists({
+      requester: req.user._id,
+      target: user._id,
+      status: 'pending'
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        _id: user._id,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        username: user.username,
+        avatar: user.avatar,
+        bio: user.bio,
+        interests: user.interests,
+        location: user.location,
+        postsCount: user.postsCount,
+        followerCount: user.followerCount,
+        followingCount: user.followingCount,
+        profileCreatedAt: user.profileCreatedAt,
+        isPrivate: user.isPrivate,
+        relationship: {
+          isSelf: user._id.equals(req.user._id),
+          ...describeRelationship(req.user, user._id),
+          followRequested: Boolean(followRequested),
+          blockedByYou: Boolean(blockedByYou)
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Search users by username or name prefix, with interest and location filters
+exports.searchUsers = async (req, res) => {
+  try {
+    const { q, interests, location } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+    const skip = (page - 1) * limit;
+
+    // Repeated or bracketed params (?q=a&q=b, ?q[x]=y) arrive as arrays or
+    // objects; only interests may be a list, and only of strings
+    const isText = (value) => value === undefined || typeof value === 'string';
+    const interestsOk = Array.isArray(interests) ? interests.every(isText) : isText(interests);
+    if (!isText(q) || !isText(location) || !interestsOk) {
+      return res.status(400).json({
+        success: false,
+        message: 'Search parameters must be plain text'
+      });
+    }
+
+    if (!q?.trim() && !interests && !location) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a search term, interests or location'
+      });
+    }
+
+    const blockedIds = await getBlockedUserIds(req.user._id);
+    const filter = {
+      _id: { $nin: [req.user._id, ...blockedIds] },
+      active: true
+    };
+
+    if (q?.trim()) {
+      const prefix = escapeRegex(q.trim());
+      filter.$or = [
+        { username: new RegExp(`^${prefix.toLowerCase()}`) },
+        { firstName: new RegExp(`^${prefix}`, 'i') },
+        { lastName: new RegExp(`^${prefix}`, 'i') }
+      ];
+    }
+
+    if (interests) {
+      const wanted = (Array.isArray(interests) ? interests : interests.split(','))
+        .map(interest => interest.trim())
+        .filter(Boolean);
+      filter.interests = {
+        $in: wanted.map(interest => new RegExp(`^${escapeRegex(interest)}$`, 'i'))
+      };
+    }
+
+    if (location?.trim()) {
+      filter.location = new RegExp(escapeRegex(location.trim()), 'i');
+    }
+
+    const [users, total] = await Promise.all([
+      User.find(filter)
+        .select('firstName lastName username avatar bio interests location')
+        .sort({ username: 1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      User.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: users.map(user => ({
+        ...user,
+        ...describeRelationship(req.user, user._id)
+      })),
+      pagination: {
+        total,
+        totalPages: Math.ceil(total / limit),
+        currentPage: page,
+        perPage: limit
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Pending follow requests sent to the current user
+exports.getFollowRequests = async (req, res) => {
+  try {
+    const requests = await FollowRequest.find({
+      target: req.user._id,
+      status: 'pending'
+    })
+      .populate('requester', LIST_USER_FIELDS)
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      data: requests.filter(request => request.requester)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Approve or deny a follow request sent to the current user
+const respondToFollowRequest = (approve) => async (req, res) => {
+  try {
+    const { requestId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(requestId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid request ID format'
+      });
+    }
+
+    const request = await FollowRequest.findOne({
+      _id: requestId,
+      target: req.user._id,
+      status: 'pending'
+    });
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Follow request not found'
+      });
+    }
+
+    if (approve) {
+      await acceptFollowRequest(request, req.app.get('io'));
+    } else {
+      request.status = 'denied';
+      request.respondedAt = Date.now();
+      await request.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      message: approve ? 'Follow request approved' : 'Follow request denied'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+exports.approveFollowRequest = respondToFollowRequest(true);
+exports.denyFollowRequest = respondToFollowRequest(false);
@@ -1,5 +1,7 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/userModel');
+const Session = require('../models/sessionModel');
+const { getActiveSuspension, describeSuspension } = require('../utils/suspensions');
 const multer = require('multer');
 const { v4: uuidv4 } = require('uuid');
 const fs = require('fs');
@@ -39,13 +41,29 @@ const upload = multer({
   }
 });
 
+// Avatars: images only, smaller limit
+const AVATAR_MAX_MB = 5;
+const avatarUpload = multer({
+  storage: storage,
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype.startsWith('image/')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Unsupported file type. Avatars must be images.'), false);
+    }
+  },
+  limits: {
+    fileSize: AVATAR_MAX_MB * 1024 * 1024
+  }
+});
+
 // Handle multer errors
-exports.handleUploadErrors = (err, req, res, next) => {
+const uploadErrorHandler = (maxSizeMb) => (err, req, res, next) => {
   if (err instanceof multer.MulterError) {
     if (err.code === 'LIMIT_FILE_SIZE') {
       return res.status(400).json({
         success: false,
-        message: 'File size limit exceeded. Maximum allowed size is 50MB.'
+        message: `File size limit exceeded. Maximum allowed size is ${maxSizeMb}MB.`
       });
     }
     return res.status(400).json({
@@ -61,6 +79,8 @@ exports.handleUploadErrors = (err, req, res, next) => {
   next();
 };
 
+exports.handleUploadErrors = uploadErrorHandler(50);
+
 // Authentication middleware
 exports.protect = async (req, res, next) => {
   let token;
@@ -86,6 +106,14 @@ exports.protect = async (req, res, next) => {
   try {
     // 3. Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Purpose-bound tokens (e.g. a pending 2FA login) never grant access
+    if (decoded.purpose) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login is not complete. Please finish two-factor verification.'
+      });
+    }
     
     // 4. Check if user still exists
     const currentUser = await User.findById(decoded.id).select('+active +passwordChangedAt');
@@ -119,7 +147,33 @@ exports.protect = async (req, res, next) => {
       });
     }
 
-    // 7. Grant access
+    // 7. Check the device session was not signed out
+    if (decoded.sid) {
+      const session = await Session.findById(decoded.sid);
+      if (!session || !session.isUsable()) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session has been signed out. Please log in again.'
+        });
+      }
+      req.sessionId = decoded.sid;
+    }
+
+    // 8. Check for a suspension or ban
+    const suspension = await getActiveSuspension(currentUser._id);
+    if (suspension) {
+      return res.status(403).json({
+        success: false,
+        message: describeSuspension(suspension),
+        suspension: {
+          type: suspension.type,
+          reason: suspension.reason,
+          expiresAt: suspension.expiresAt
+        }
+      });
+    }
+
+    // 9. Grant access
     req.user = currentUser;
     res.locals.user = currentUser;
     next();
@@ -145,6 +199,32 @@ exports.protect = async (req, res, next) => {
   }
 };
 
+// Restrict a route to the given roles; use after protect
+exports.authorize = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return res.status(403).json({
+      success: false,
+      message: 'You do not have permission to perform this action'
+    });
+  }
+  next();
+};
+
+// Only let accounts with a verified email and phone number through
+exports.requireVerified = (req, res, next) => {
+  if (!req.user?.isVerified) {
+    return res.status(403).json({
+      success: false,
+      message: 'Please verify your email and phone number to use this feature',
+      verification: {
+        email: Boolean(req.user?.emailVerified),
+        phone: Boolean(req.user?.phoneVerified)
+      }
+    });
+  }
+  next();
+};
+
 // Optional: Add security headers middleware
 exports.securityHeaders = (req, res, next) => {
   // Set general security headers
@@ -289,6 +369,12 @@ exports.uploadMedia = (options = {}) => {
   ];
 };
 
+// Single avatar image upload (field name "avatar")
+exports.uploadAvatar = [
+  avatarUpload.single('avatar'),
+  uploadErrorHandler(AVATAR_MAX_MB)
+];
+
 // Middleware to log API requests (useful for debugging)
 exports.logRequest = (req, res, next) => {
   console.log(`[${new Date().toISOString()}] ${req.method} ${req.originalUrl} | User: ${req.user?.id || 'Unauthenticated'}`);
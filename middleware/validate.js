@@ -7,7 +7,9 @@ const validateLoginBody = (req, res, next) => {
       });
     }
     
-    const { credential, password } = req.body;
+    // `username` is the field older clients send
+    const { password } = req.body;
+    const credential = req.body.credential ?? req.body.username;
     
     if (typeof credential !== 'string' || typeof password !== 'string') {
       return res.status(400).json({
@@ -17,4 +19,6 @@ const validateLoginBody = (req, res, next) => {
     }
     
     next();
-  };
\ No newline at end of file
+  };
+
+module.exports = { validateLoginBody };
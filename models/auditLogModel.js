@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+const AUDIT_ACTIONS = [
+  'user.lock', 'user.unlock', 'user.role_change',
+  'user.suspend', 'user.ban', 'user.unsuspend',
+  'post.delete', 'message.delete',
+  'report.claim', 'report.dismiss',
+  'report.resolve.hide_content', 'report.resolve.warn', 'report.resolve.suspend'
+];
+
+// Append-only record of actions taken by moderators and admins
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  action: {
+    type: String,
+    enum: AUDIT_ACTIONS,
+    required: true
+  },
+  targetType: {
+    type: String,
+    enum: ['User', 'Post', 'Message', 'Chat', 'Report'],
+    required: true
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  details: mongoose.Schema.Types.Mixed,
+  ipAddress: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1 });
+
+auditLogSchema.statics.ACTIONS = AUDIT_ACTIONS;
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -6,5 +6,36 @@ const blockSchema = new mongoose.Schema({
     blocked: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
     createdAt: { type: Date, default: Date.now }
   });
+
+  // A user can block someone only once; also serves "who did I block" lookups
+  blockSchema.index({ blocker: 1, blocked: 1 }, { unique: true });
+  blockSchema.index({ blocked: 1 });
+
+  // Databases from before the unique index can hold the same block twice,
+  // which would make building it fail. buildIndexes() runs at startup instead.
+  blockSchema.set('autoIndex', false);
+
+  // Remove duplicate blocks, keeping the oldest of each pair, then build the
+  // indexes
+  blockSchema.statics.buildIndexes = async function() {
+    const duplicates = await this.aggregate([
+      { $sort: { createdAt: 1, _id: 1 } },
+      {
+        $group: {
+          _id: { blocker: '$blocker', blocked: '$blocked' },
+          ids: { $push: '$_id' },
+          count: { $sum: 1 }
+        }
+      },
+      { $match: { count: { $gt: 1 } } }
+    ]).allowDiskUse(true);
+
+    const extra = duplicates.flatMap(group => group.ids.slice(1));
+    if (extra.length > 0) {
+      await this.deleteMany({ _id: { $in: extra } });
+      console.log(`[BLOCKS] Removed ${extra.length} duplicate blocks`);
+    }
+    await this.createIndexes();
+  };
   
   module.exports = mongoose.model('Block', blockSchema);
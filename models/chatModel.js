@@ -8,27 +8,95 @@ const chatSchema = new mongoose.Schema({
   }],
   chatType: {
     type: String,
-    enum: ['Friendship', 'Dating'],
+    enum: ['Friendship', 'Dating', 'Group'],
     required: true
   },
+  // Group chats only: participants are the members, the owner and admins
+  // manage them
+  name: {
+    type: String,
+    trim: true,
+    maxlength: 100,
+    required: function() {
+      return this.chatType === 'Group';
+    }
+  },
+  avatar: String,
+  avatarSizes: {
+    small: String,
+    medium: String,
+    large: String
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  admins: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
   isActive: {
     type: Boolean,
     default: true
   },
+  // Random chats come from matchmaking and keep both profiles masked until
+  // both users ask to connect, which promotes the chat to a persistent one
+  origin: {
+    type: String,
+    enum: ['direct', 'random'],
+    default: 'direct'
+  },
+  connectRequests: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    // Follow each other once connected (only if both ask)
+    follow: {
+      type: Boolean,
+      default: false
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  promotedAt: Date,
   lastMessage: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Message'
   },
-  unreadCount: {
-    type: Number,
-    default: 0
-  }
+  // How far each participant has read; unread counts are worked out from
+  // these (see utils/readCursors.js)
+  readCursors: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    lastReadMessage: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Message'
+    },
+    lastReadAt: Date
+  }]
 }, {
   timestamps: true,
   toJSON: { virtuals: true },
   toObject: { virtuals: true }
 });
 
+// 'owner', 'admin', 'member', or null if not in the chat
+chatSchema.methods.roleOf = function(userId) {
+  const id = userId.toString();
+  if (!this.participants.some(p => (p._id || p).toString() === id)) return null;
+  if (this.owner && this.owner.toString() === id) return 'owner';
+  if (this.admins.some(admin => admin.toString() === id)) return 'admin';
+  return 'member';
+};
+
 chatSchema.virtual('messages', {
   ref: 'Message',
   localField: '_id',
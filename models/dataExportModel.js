@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// A personal data export requested by a user, built in the background
+const dataExportSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'completed', 'failed'],
+    default: 'pending'
+  },
+  compressed: {
+    type: Boolean,
+    default: false
+  },
+  filePath: {
+    type: String,
+    select: false
+  },
+  fileSize: Number,
+  error: String,
+  startedAt: Date,
+  completedAt: Date,
+  // Archives are removed with their record a week after the request
+  expiresAt: {
+    type: Date,
+    default: () => Date.now() + 7 * 24 * 60 * 60 * 1000,
+    index: true
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('DataExport', dataExportSchema);
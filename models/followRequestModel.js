@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// A pending request to follow a private account
+const followRequestSchema = new mongoose.Schema({
+  requester: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'denied'],
+    default: 'pending'
+  },
+  respondedAt: Date
+}, {
+  timestamps: true
+});
+
+// One request per pair; asking again reopens the existing one
+followRequestSchema.index({ requester: 1, target: 1 }, { unique: true });
+followRequestSchema.index({ target: 1, status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('FollowRequest', followRequestSchema);
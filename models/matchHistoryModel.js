@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// One user's view of a matchmaking outcome. Each event is stored once per
+// user so either side can clear their own history.
+//   matched  - both accepted and a chat was created
+//   rejected - this user turned the match down
+//   declined - the partner turned it down
+//   ended    - the random chat was ended
+const matchHistorySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  partner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  event: {
+    type: String,
+    enum: ['matched', 'rejected', 'declined', 'ended'],
+    required: true
+  },
+  chat: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Chat'
+  },
+  chatType: {
+    type: String,
+    enum: ['Friendship', 'Dating']
+  }
+}, {
+  timestamps: true
+});
+
+matchHistorySchema.index({ user: 1, createdAt: -1 });
+matchHistorySchema.index({ partner: 1, event: 1, createdAt: -1 });
+
+module.exports = mongoose.model('MatchHistory', matchHistorySchema);
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// A user waiting to be matched. Searching sockets refresh `expiresAt`, so an
+// entry whose owner disappeared without disconnecting cleanly ages out.
+const matchQueueSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  chatPreference: {
+    type: String,
+    enum: ['Friendship', 'Dating'],
+    required: true
+  },
+  interests: [String],
+  // Profile snapshot taken when the search started, used for scoring
+  age: Number,
+  gender: String,
+  location: String,
+  coordinates: {
+    latitude: Number,
+    longitude: Number
+  },
+  preferences: {
+    minAge: Number,
+    maxAge: Number,
+    genders: [String],
+    maxDistanceKm: Number,
+    sameLocationOnly: Boolean
+  },
+  // Set while a scheduler is pairing this entry
+  matchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  joinedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+matchQueueSchema.index({ chatPreference: 1, joinedAt: 1 });
+matchQueueSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('MatchQueueEntry', matchQueueSchema);
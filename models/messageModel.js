@@ -6,24 +6,83 @@ const messageSchema = new mongoose.Schema({
     ref: 'Chat',
     required: true
   },
+  // System messages (e.g. "this chat has ended") have no sender
+  type: {
+    type: String,
+    enum: ['user', 'system'],
+    default: 'user'
+  },
   sender: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    required: function() {
+      return this.type !== 'system';
+    }
   },
-  content: {
+  // What a system message records, so clients can render it themselves
+  systemEvent: {
     type: String,
-    required: true,
-    trim: true
+    enum: [
+      'group_created', 'group_updated', 'member_added', 'member_removed',
+      'member_left', 'role_changed'
+    ]
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
   },
-  readBy: [{
+  subject: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
+  },
+  // Deleted messages stay behind without their content, so clients catching
+  // up (utils/messageSync.js) learn about the deletion
+  content: {
+    type: String,
+    required: function() {
+      return !this.deletedAt;
+    },
+    trim: true
+  },
+  deletedAt: Date,
+  // Id the sending device made up, so a retried send isn't stored twice
+  clientId: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  // Delivery state across all recipients (see utils/messageReceipts.js)
+  status: {
+    type: String,
+    enum: ['sent', 'delivered', 'read'],
+    default: 'sent'
+  },
+  deliveryReceipts: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    at: Date
+  }],
+  readReceipts: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    at: Date
   }],
   edited: {
     type: Boolean,
     default: false
   },
+  editedAt: Date,
+  // Hidden by a moderator after a report
+  hidden: {
+    type: Boolean,
+    default: false
+  },
   reactions: [{
     emoji: String,
     user: {
@@ -34,11 +93,29 @@ const messageSchema = new mongoose.Schema({
       type: Date,
       default: Date.now
     }
-  }]
+  }],
+  reactionsUpdatedAt: Date
 }, {
   timestamps: true,
   toJSON: { virtuals: true },
   toObject: { virtuals: true }
 });
 
+// Sync reads each chat's changes in update order
+messageSchema.index({ chat: 1, updatedAt: 1 });
+
+// History pages and reconnect delivery read a chat in send order
+messageSchema.index({ chat: 1, createdAt: 1 });
+
+messageSchema.index(
+  { sender: 1, clientId: 1 },
+  { unique: true, partialFilterExpression: { clientId: { $type: 'string' } } }
+);
+
+// Update that deletes a message: the record stays as a tombstone, with a
+// fresh updatedAt, so syncing clients drop it too
+messageSchema.statics.deletionUpdate = function() {
+  return { deletedAt: new Date(), reactions: [], $unset: { content: 1 } };
+};
+
 module.exports = mongoose.model('Message', messageSchema);
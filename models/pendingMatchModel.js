@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// Two queued users who were paired and still have to accept or reject
+const pendingMatchSchema = new mongoose.Schema({
+  users: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }],
+  chatPreference: {
+    type: String,
+    enum: ['Friendship', 'Dating'],
+    required: true
+  },
+  acceptances: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  rejections: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+pendingMatchSchema.index({ users: 1 });
+// Expired matches are swept (and their users told) by the matchmaking job;
+// the TTL index only catches anything left behind while no instance ran.
+pendingMatchSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 3600 });
+
+module.exports = mongoose.model('PendingMatch', pendingMatchSchema);
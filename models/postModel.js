@@ -16,6 +16,11 @@ const CommentSchema = new Schema({
   createdAt: {
     type: Date,
     default: Date.now
+  },
+  // Hidden by a moderator after a report
+  hidden: {
+    type: Boolean,
+    default: false
   }
 });
 
@@ -42,6 +47,11 @@ const PostSchema = new Schema({
     ref: 'User'
   }],
   comments: [CommentSchema],
+  // Hidden by a moderator after a report
+  hidden: {
+    type: Boolean,
+    default: false
+  },
   createdAt: {
     type: Date,
     default: Date.now
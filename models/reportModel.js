@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+const REPORT_REASONS = [
+  'spam', 'harassment', 'hate_speech', 'sexual_content', 'violence',
+  'scam', 'underage', 'impersonation', 'other'
+];
+
+// A user's report about another user or something they posted
+const reportSchema = new mongoose.Schema({
+  reporter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  targetType: {
+    type: String,
+    enum: ['User', 'Message', 'Post', 'Comment'],
+    required: true
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Comments live inside posts, so keep the parent post too
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post'
+  },
+  // Whoever is responsible for the reported content
+  reportedUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: REPORT_REASONS,
+    required: true
+  },
+  details: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  status: {
+    type: String,
+    enum: ['open', 'claimed', 'resolved', 'dismissed'],
+    default: 'open'
+  },
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  claimedAt: Date,
+  resolution: {
+    action: {
+      type: String,
+      enum: ['hide_content', 'warn', 'suspend', 'none']
+    },
+    note: String,
+    suspensionDays: Number,
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    resolvedAt: Date
+  }
+}, {
+  timestamps: true
+});
+
+reportSchema.index({ status: 1, createdAt: 1 });
+reportSchema.index({ reportedUser: 1, createdAt: -1 });
+reportSchema.index({ reporter: 1, targetType: 1, targetId: 1 });
+
+reportSchema.statics.REASONS = REPORT_REASONS;
+
+module.exports = mongoose.model('Report', reportSchema);
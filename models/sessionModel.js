@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// A signed-in device. Each session holds the hash of its current refresh
+// token; rotating the token replaces the hash, so presenting an older token
+// means it was copied and the whole session is revoked.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  deviceName: {
+    type: String,
+    trim: true
+  },
+  userAgent: String,
+  ipAddress: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'signed_out_remotely', 'token_reuse', 'password_changed']
+  }
+}, {
+  timestamps: true
+});
+
+// Let MongoDB drop sessions once their refresh token can no longer be used
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isUsable = function() {
+  return !this.revokedAt && this.expiresAt > Date.now();
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
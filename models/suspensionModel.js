@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// A period during which a user may not use the app. Bans have no expiry.
+const suspensionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['suspension', 'ban'],
+    required: true
+  },
+  reason: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  issuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  report: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Report'
+  },
+  expiresAt: Date,
+  liftedAt: Date,
+  liftedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+suspensionSchema.index({ user: 1, liftedAt: 1, expiresAt: 1 });
+
+// Suspensions currently in force
+suspensionSchema.statics.activeFilter = function(userId) {
+  return {
+    user: userId,
+    liftedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+  };
+};
+
+module.exports = mongoose.model('Suspension', suspensionSchema);
@@ -1,6 +1,8 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const validator = require('validator');
+const crypto = require('crypto');
+const { normalizePhone, looksLikePhone } = require('../utils/credentials');
 
 const interestsList = [
   'Photography', 'Travel', 'Food', 'Fashion', 'Technology',
@@ -8,6 +10,8 @@ const interestsList = [
   'Gaming', 'Nature', 'Science', 'Politics', 'Business'
 ];
 
+const genderList = ['Male', 'Female', 'Other', 'Prefer not to say'];
+
 const userSchema = new mongoose.Schema({
   firstName: {
     type: String,
@@ -23,14 +27,32 @@ const userSchema = new mongoose.Schema({
     type: String,
     required: [true, 'Username is required'],
     unique: true,
-    trim: true
+    trim: true,
+    lowercase: true,
+    // Login tells phone numbers and usernames apart by their shape. Only
+    // checked when the username is set, so existing accounts still save.
+    validate: [
+      function(value) {
+        if (typeof this.isModified === 'function' && !this.isModified('username')) return true;
+        return !looksLikePhone(value);
+      },
+      'Username cannot look like a phone number'
+    ]
   },
   avatar: {
     type: String,
     default: 'https://cdn.pixabay.com/photo/2015/10/05/22/37/blank-profile-picture-973460_1280.png'
   },
+  // Resized copies of the avatar; `avatar` holds the large one
+  avatarSizes: {
+    small: String,
+    medium: String,
+    large: String
+  },
   bio: {
     type: String,
+    trim: true,
+    maxlength: [300, 'Bio cannot be longer than 300 characters']
   },
   email: {
     type: String,
@@ -42,7 +64,16 @@ const userSchema = new mongoose.Schema({
   phoneNumber: {
     type: String,
     required: [true, 'Phone number is required'],
-    unique: true
+    unique: true,
+    set: normalizePhone
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  phoneVerified: {
+    type: Boolean,
+    default: false
   },
   password: {
     type: String,
@@ -61,18 +92,50 @@ const userSchema = new mongoose.Schema({
   gender: {
     type: String,
     required: [true, 'Gender is required'],
-    enum: ['Male', 'Female', 'Other', 'Prefer not to say']
+    enum: genderList
   },
   location: {
     type: String,
     required: [true, 'Location is required']
   },
+  // Optional precise position, used for distance-based matching
+  coordinates: {
+    latitude: {
+      type: Number,
+      min: -90,
+      max: 90
+    },
+    longitude: {
+      type: Number,
+      min: -180,
+      max: 180
+    }
+  },
+  role: {
+    type: String,
+    enum: ['user', 'moderator', 'admin'],
+    default: 'user'
+  },
   active: {
     type: Boolean,
     default: true,
     select: false
   },
+  deactivatedAt: Date,
+  // Once this passes, the account deletion job purges the user's data
+  scheduledDeletionAt: {
+    type: Date,
+    index: true
+  },
   passwordChangedAt: Date,
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
 
   interests: {
     type: [String],
@@ -89,6 +152,38 @@ const userSchema = new mongoose.Schema({
     enum: ['Friendship', 'Dating'],
     default: 'Friendship'
   },
+  // Who the user wants to meet in Dating mode. No genders means anyone;
+  // no distance means any distance.
+  datingPreferences: {
+    minAge: {
+      type: Number,
+      min: 18,
+      default: 18
+    },
+    maxAge: {
+      type: Number,
+      max: 120,
+      default: 120
+    },
+    genders: {
+      type: [String],
+      enum: genderList,
+      default: []
+    },
+    maxDistanceKm: {
+      type: Number,
+      min: 1
+    },
+    sameLocationOnly: {
+      type: Boolean,
+      default: false
+    }
+  },
+  // Private accounts approve followers and hide posts from everyone else
+  isPrivate: {
+    type: Boolean,
+    default: false
+  },
   online: {
     type: Boolean,
     default: false
@@ -97,6 +192,9 @@ const userSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   },
+  // Messages sent before this have been marked delivered to the user on a
+  // reconnect (see utils/messageReceipts.js)
+  deliveredUpTo: Date,
   loginAttempts: {
     type: Number,
     required: true,
@@ -118,13 +216,63 @@ const userSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorSecret: {
+    type: String,
+    select: false
+  },
+  // Secret from an enrollment that hasn't been confirmed with a code yet
+  twoFactorPendingSecret: {
+    type: String,
+    select: false
+  },
+  // Last accepted TOTP time step, so a code can't be used twice
+  twoFactorLastUsedStep: {
+    type: Number,
+    select: false
+  },
+  twoFactorRecoveryCodes: {
+    type: [String],
+    select: false
+  },
   accountLocked: {
     type: Boolean,
     default: false
   },
   lockUntil: {
     type: Date
-  }
+  },
+  // Lock placed by staff. Kept apart from the failed-login lockout above so
+  // that a password reset can't lift it.
+  adminLocked: {
+    type: Boolean,
+    default: false
+  },
+  adminLockUntil: Date,
+  adminLockReason: String,
+  // Moderation history; enough strikes suspends the account automatically
+  strikes: [{
+    reason: String,
+    action: {
+      type: String,
+      enum: ['warn', 'hide_content', 'suspend']
+    },
+    report: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Report'
+    },
+    issuedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
 }, {
   timestamps: true,
   toJSON: { virtuals: true },
@@ -140,6 +288,11 @@ userSchema.virtual('followingCount').get(function() {
   return this.following?.length || 0;
 });
 
+// Both contact details must be confirmed before matchmaking and posting
+userSchema.virtual('isVerified').get(function() {
+  return Boolean(this.emailVerified && this.phoneVerified);
+});
+
 userSchema.pre('save', function(next) {
   if (this.chatPreference && this.isModified('chatPreference')) {
     this.chatPreference = 
@@ -149,18 +302,46 @@ userSchema.pre('save', function(next) {
   next();
 });
 
-// Add instance method for follow functionality
+// Follow another user, updating both users' arrays in one transaction
 userSchema.methods.followUser = async function(userId) {
-  if (!this.following.includes(userId)) {
-    this.following.push(userId);
-    await this.save();
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      await this.constructor.updateOne(
+        { _id: this._id },
+        { $addToSet: { following: userId } },
+        { session }
+      );
+      await this.constructor.updateOne(
+        { _id: userId },
+        { $addToSet: { followers: this._id } },
+        { session }
+      );
+    });
+  } finally {
+    session.endSession();
   }
 };
 
-// Add instance method for unfollow functionality
+// Unfollow another user, updating both users' arrays in one transaction
 userSchema.methods.unfollowUser = async function(userId) {
-  this.following = this.following.filter(id => !id.equals(userId));
-  await this.save();
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      await this.constructor.updateOne(
+        { _id: this._id },
+        { $pull: { following: userId } },
+        { session }
+      );
+      await this.constructor.updateOne(
+        { _id: userId },
+        { $pull: { followers: this._id } },
+        { session }
+      );
+    });
+  } finally {
+    session.endSession();
+  }
 };
 
 // Add static method to increment post count
@@ -188,11 +369,62 @@ userSchema.pre('save', async function(next) {
   next();
 });
 
+// Record when an existing password changes so older tokens are rejected
+userSchema.pre('save', function(next) {
+  if (!this.isModified('password') || this.isNew) {
+    return next();
+  }
+
+  // Back-date by a second so a token issued right after the change stays valid
+  this.passwordChangedAt = Date.now() - 1000;
+  next();
+});
+
 // Method to compare entered password with stored hash
 userSchema.methods.matchPassword = async function(enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
+// Create a single-use reset token; only its hash is stored
+userSchema.methods.createPasswordResetToken = function() {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+
+  this.passwordResetToken = crypto
+    .createHash('sha256')
+    .update(resetToken)
+    .digest('hex');
+  this.passwordResetExpires = Date.now() + 15 * 60 * 1000;
+
+  return resetToken;
+};
+
+// Create one-time recovery codes; only their hashes are stored
+userSchema.methods.createRecoveryCodes = function(count = 10) {
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  this.twoFactorRecoveryCodes = codes.map(code =>
+    crypto.createHash('sha256').update(code).digest('hex')
+  );
+
+  return codes;
+};
+
+// Consume a recovery code, returning whether it was valid
+userSchema.methods.useRecoveryCode = function(code) {
+  const hash = crypto
+    .createHash('sha256')
+    .update(String(code).trim().toLowerCase())
+    .digest('hex');
+  const index = (this.twoFactorRecoveryCodes || []).indexOf(hash);
+
+  if (index === -1) return false;
+  this.twoFactorRecoveryCodes.splice(index, 1);
+  return true;
+};
+
 const User = mongoose.model('User', userSchema);
 
 module.exports = User;
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// One-time code sent to a user's email or phone. Only the hash is stored.
+const verificationCodeSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  channel: {
+    type: String,
+    enum: ['email', 'phone'],
+    required: true
+  },
+  // The address the code was sent to, so changing it invalidates the code
+  target: {
+    type: String,
+    required: true
+  },
+  codeHash: {
+    type: String,
+    required: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+verificationCodeSchema.index({ user: 1, channel: 1, createdAt: -1 });
+// Kept for a day after issue so the hourly send limit can count them
+verificationCodeSchema.index({ createdAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('VerificationCode', verificationCodeSchema);
@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const adminController = require('../controllers/adminController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+// Staff only
+router.use(protect, authorize('moderator', 'admin'));
+
+// Users
+router.get('/users', adminController.listUsers);
+router.get('/users/:userId', adminController.getUser);
+router.put('/users/:userId/lock', adminController.lockUser);
+router.put('/users/:userId/unlock', adminController.unlockUser);
+router.put('/users/:userId/role', authorize('admin'), adminController.updateUserRole);
+
+// Suspensions and bans
+router.get('/users/:userId/suspensions', adminController.getSuspensions);
+router.post('/users/:userId/suspend', adminController.suspendUser);
+router.post('/users/:userId/ban', authorize('admin'), adminController.banUser);
+router.delete('/users/:userId/suspension', adminController.liftSuspension);
+
+// Content
+router.delete('/posts/:postId', adminController.deletePost);
+router.delete('/messages/:messageId', adminController.deleteMessage);
+
+// Reporting
+router.get('/stats', adminController.getStats);
+router.get('/matchmaking/metrics', adminController.getMatchmakingMetrics);
+router.get('/audit-logs', authorize('admin'), adminController.getAuditLogs);
+
+module.exports = router;
@@ -5,19 +5,64 @@ const {
   login, 
   getMe, 
   updateProfile, 
-  updateChatPreference 
+  updateChatPreference,
+  updateDatingPreferences,
+  refreshToken,
+  logout,
+  getSessions,
+  deleteSession,
+  deleteOtherSessions,
+  forgotPassword,
+  resetPassword,
+  changePassword,
+  sendVerificationCode,
+  confirmVerificationCode,
+  verifyTwoFactorLogin,
+  setupTwoFactor,
+  confirmTwoFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  deactivateAccount,
+  updateAvatar,
+  removeAvatar
 } = require('../controllers/authController');
 
-const { protect } = require('../middleware/authMiddleware');
+const { protect, uploadAvatar } = require('../middleware/authMiddleware');
+const { validateLoginBody } = require('../middleware/validate');
 
 
 // Public routes
 router.post('/register', register);
-router.post('/login', login);
+router.post('/login', validateLoginBody, login);
+router.post('/login/2fa', verifyTwoFactorLogin);
+router.post('/refresh', refreshToken);
+router.post('/forgot-password', forgotPassword);
+router.post('/reset-password/:token', resetPassword);
 
 // Protected routes
 router.get('/me', protect, getMe);
+router.delete('/me', protect, deactivateAccount);
 router.put('/profile', protect, updateProfile);
+router.put('/avatar', protect, uploadAvatar, updateAvatar);
+router.delete('/avatar', protect, removeAvatar);
 router.put('/chat-preference', protect, updateChatPreference);
+router.put('/dating-preferences', protect, updateDatingPreferences);
+router.put('/password', protect, changePassword);
+router.post('/logout', protect, logout);
+
+// Email and phone verification (:channel is "email" or "phone")
+router.post('/verify/:channel/send', protect, sendVerificationCode);
+router.post('/verify/:channel/confirm', protect, confirmVerificationCode);
+
+// Two-factor authentication
+router.post('/2fa/setup', protect, setupTwoFactor);
+router.post('/2fa/confirm', protect, confirmTwoFactor);
+router.post('/2fa/recovery-codes', protect, regenerateRecoveryCodes);
+router.post('/2fa/disable', protect, disableTwoFactor);
+
+// Device sessions
+router.get('/sessions', protect, getSessions);
+router.delete('/sessions', protect, deleteOtherSessions);
+router.delete('/sessions/:sessionId', protect, deleteSession);
 
 module.exports = router;
\ No newline at end of file
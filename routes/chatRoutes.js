@@ -7,7 +7,10 @@ const {
   getMessageHistory,
   endRandomChat,
   initiateMatchmaking,
+  stopMatchmaking,
   handleMessage,
+  handleConnectRequest,
+  withdrawConnectRequest,
   createChatSession,
   searchMessages,
   editMessage,
@@ -19,21 +22,96 @@ const {
   unarchiveChat,
   unblockUser,
   stopTypingIndicator,
-  handleReadAll
+  handleReadAll,
+  getUnreadCount,
+  syncChats,
+  getBlockedUsers
 } = require('../controllers/chatController');
-const { protect } = require('../middleware/authMiddleware');
+const {
+  getMatchHistory,
+  clearMatchHistory,
+  clearMatchHistoryWith
+} = require('../controllers/matchHistoryController');
+const {
+  createGroup,
+  getGroup,
+  updateGroup,
+  updateGroupAvatar,
+  addMembers,
+  removeMember,
+  updateMemberRole,
+  leaveGroup
+} = require('../controllers/groupChatController');
+const { protect, requireVerified, uploadAvatar } = require('../middleware/authMiddleware');
 const Chat = require('../models/chatModel');
 
 // Apply auth middleware to all routes
 router.use(protect);
 
+// ==================== Group Routes ====================
+router.post('/groups', requireVerified, createGroup);
+router.get('/groups/:chatId', getGroup);
+router.put('/groups/:chatId', updateGroup);
+router.put('/groups/:chatId/avatar', uploadAvatar, updateGroupAvatar);
+router.post('/groups/:chatId/members', addMembers);
+router.delete('/groups/:chatId/members/:userId', removeMember);
+router.put('/groups/:chatId/members/:userId/role', updateMemberRole);
+router.post('/groups/:chatId/leave', leaveGroup);
+
 // ==================== Chat Routes ====================
 router.get('/', getChats);
+router.get('/blocked', getBlockedUsers);
+router.get('/unread-count', getUnreadCount);
+router.post('/sync', syncChats);
+router.get('/match-history', getMatchHistory);
+router.delete('/match-history', clearMatchHistory);
+router.delete('/match-history/:userId', clearMatchHistoryWith);
 router.get('/:chatId', getChatById);
 router.get('/:chatId/messages', getMessageHistory);
 router.put('/:chatId/end', endRandomChat);
 router.put('/:chatId/archive', archiveChat);
 
+// Keep a random chat: once both users ask, it becomes a persistent chat
+router.post('/:chatId/connect', async (req, res) => {
+  try {
+    const result = await handleConnectRequest(req.app.get('io'), {
+      chatId: req.params.chatId,
+      userId: req.user._id,
+      follow: req.body.follow
+    });
+
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    res.status(200).json({
+      success: true,
+      status: result.status,
+      data: result.data,
+      message: result.status === 'connected' ? 'Chat connected' : 'Waiting for the other user'
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.delete('/:chatId/connect', async (req, res) => {
+  try {
+    const result = await withdrawConnectRequest(req.app.get('io'), {
+      chatId: req.params.chatId,
+      userId: req.user._id
+    });
+
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    res.status(200).json({ success: true, data: result.data });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // ==================== Message Routes ====================
 router.get('/:chatId/messages/search', searchMessages);
 
@@ -54,7 +132,8 @@ router.post('/:chatId/messages', async (req, res) => {
       {
         chatId,
         senderId: req.user._id,
-        content: req.body.content
+        content: req.body.content,
+        clientId: req.body.clientId
       }
     );
 
@@ -62,7 +141,7 @@ router.post('/:chatId/messages', async (req, res) => {
       return res.status(400).json(result);
     }
 
-    res.status(201).json({
+    res.status(result.duplicate ? 200 : 201).json({
       success: true,
       data: result.data,
       message: result.message
@@ -81,7 +160,7 @@ router.delete('/messages/:messageId', deleteMessage);
 router.post('/messages/:messageId/reactions', addReaction);
 
 // ==================== Matchmaking Routes ====================
-router.post('/start-search', async (req, res) => {
+router.post('/start-search', requireVerified, async (req, res) => {
   try {
     const io = req.app.get('io'); // Get the io instance from the app
     const result = await initiateMatchmaking(io, req.user._id);
@@ -93,6 +172,7 @@ router.post('/start-search', async (req, res) => {
     res.status(200).json({
       success: true,
       data: result.user,
+      status: result.status,
       message: 'Matchmaking started'
     });
 
@@ -104,7 +184,28 @@ router.post('/start-search', async (req, res) => {
   }
 });
 
-router.post('/create-session', async (req, res) => {
+router.delete('/start-search', async (req, res) => {
+  try {
+    const result = await stopMatchmaking(req.app.get('io'), req.user._id);
+
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: result.wasSearching ? 'Matchmaking cancelled' : 'You were not searching'
+    });
+
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+router.post('/create-session', requireVerified, async (req, res) => {
   try {
     const { participantId, chatType } = req.body;
 
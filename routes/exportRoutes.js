@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const exportController = require('../controllers/exportController');
+const { protect } = require('../middleware/authMiddleware');
+
+// All routes require authentication
+router.use(protect);
+
+router.post('/', exportController.requestExport);
+router.get('/', exportController.getExports);
+router.get('/:exportId', exportController.getExportStatus);
+router.get('/:exportId/download', exportController.downloadExport);
+
+module.exports = router;
@@ -14,6 +14,7 @@ router.use(authMiddleware.protect);
 
 // Routes with file uploads
 router.post('/', 
+  authMiddleware.requireVerified,
   authMiddleware.rateLimit.posts,
   authMiddleware.rateLimit.uploads,
   authMiddleware.uploadMedia({ maxCount: 5, fieldName: 'media' }),
@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const reportController = require('../controllers/reportController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+// All routes require authentication
+router.use(protect);
+
+// Any user can report
+router.post('/', reportController.createReport);
+
+// Moderation queue
+router.get('/', authorize('moderator', 'admin'), reportController.listReports);
+router.put('/:reportId/claim', authorize('moderator', 'admin'), reportController.claimReport);
+router.put('/:reportId/resolve', authorize('moderator', 'admin'), reportController.resolveReport);
+router.put('/:reportId/dismiss', authorize('moderator', 'admin'), reportController.dismissReport);
+
+module.exports = router;
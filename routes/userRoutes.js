@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const userController = require('../controllers/userController');
+const { protect } = require('../middleware/authMiddleware');
+
+// All routes require authentication
+router.use(protect);
+
+// Discovery
+router.get('/search', userController.searchUsers);
+
+// Follow requests for private accounts
+router.get('/follow-requests', userController.getFollowRequests);
+router.post('/follow-requests/:requestId/approve', userController.approveFollowRequest);
+router.post('/follow-requests/:requestId/deny', userController.denyFollowRequest);
+
+// Follow graph
+router.post('/:id/follow', userController.followUser);
+router.delete('/:id/follow', userController.unfollowUser);
+router.get('/:id/followers', userController.getFollowers);
+router.get('/:id/following', userController.getFollowing);
+
+// Profiles (keep last so it doesn't shadow the routes above)
+router.get('/:username', userController.getProfile);
+
+module.exports = router;
@@ -3,16 +3,43 @@ const mongoose = require('mongoose');
 const http = require('http');
 const { Server } = require('socket.io');
 const dotenv = require('dotenv');
+
+// Load environment before any module that reads it at require time
+dotenv.config();
+
 const cors = require('cors');
 const { connectDB } = require('./config/db');
+const { startAccountDeletionJob } = require('./utils/accountDeletion');
+const { startDataExportJobs } = require('./utils/dataExport');
 const User = require('./models/userModel');
 const Chat = require('./models/chatModel');
-const Message = require('./models/messageModel'); // Ensure this model exists
+const Block = require('./models/blockModel');
 
 // Import handleReadAll from chatController (assumed to broadcast the read-all event)
-const { handleReadAll } = require('./controllers/chatController');
-
-dotenv.config();
+const {
+  handleReadAll,
+  handleMessage,
+  handleConnectRequest,
+  withdrawConnectRequest
+} = require('./controllers/chatController');
+const {
+  suspensionEvents,
+  getActiveSuspension,
+  describeSuspension
+} = require('./utils/suspensions');
+const { getMatchStore } = require('./utils/matchStore');
+const { recordMatched, recordRejected } = require('./utils/matchHistory');
+const { maskUser } = require('./utils/chatPrivacy');
+const { markDelivered, deliverPending } = require('./utils/messageReceipts');
+const { syncMessages } = require('./utils/messageSync');
+const { authenticateSocket } = require('./utils/socketAuth');
+const {
+  MatchmakingError,
+  startMatchmaker,
+  startSearch,
+  addSearcher,
+  removeSearcher
+} = require('./utils/matchmaker');
 
 // Initialize application
 const app = express();
@@ -27,40 +54,83 @@ const io = new Server(httpServer, {
 
 app.set('io', io);
 
-// Connect to the database
-connectDB();
+// Connect to the database, then build the block indexes once duplicate
+// blocks are gone
+connectDB()
+  .then(() => Block.buildIndexes())
+  .catch(error => console.error('[BLOCK INDEX ERROR]', error.message));
+
+// Purge accounts whose deletion grace period has passed
+startAccountDeletionJob();
+
+// Resume interrupted data exports and remove expired archives
+startDataExportJobs();
 
 // Middleware
 app.use(cors({ origin: '*' }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// State management for socket-based features
+// Sockets connected to this instance. The queue and pending matches live in
+// the match store and are paired by the matchmaker.
 const activeUsers = new Map();
-const matchIntervals = new Map();
-const pendingMatches = new Map();
+const matchStore = getMatchStore();
 
 // ==================== WebSocket Handlers ====================
+// Every socket carries a verified access token; "authenticate" then sets up
+// the verified user's rooms and state
+io.use(authenticateSocket);
+
 io.on('connection', (socket) => {
   console.log(`[CONNECTION] New connection: ${socket.id}`);
 
-  // Join a chat room
-  socket.on('join-chat', (chatId) => {
-    console.log(`[SOCKET JOIN] ${socket.id} joining chat ${chatId}`);
-    socket.join(chatId);
+  // Join a chat room; only members of the chat may listen in
+  socket.on('join-chat', async (chatId) => {
+    try {
+      const userId = socket.data.userId;
+      const isMember = userId && mongoose.Types.ObjectId.isValid(chatId) &&
+        await Chat.exists({ _id: chatId, participants: userId, isActive: true });
+      if (!isMember) {
+        socket.emit('join-error', { chatId, message: 'Chat not found' });
+        return;
+      }
+      console.log(`[SOCKET JOIN] ${socket.id} joining chat ${chatId}`);
+      socket.join(chatId.toString());
+    } catch (error) {
+      console.error('[SOCKET JOIN ERROR]', error);
+    }
   });
 
-  // Authentication: verify user and store details in activeUsers map
-  socket.on('authenticate', async (userId) => {
+  // Authentication: set up the token's user and store details in the
+  // activeUsers map. The id the client sends must match the token.
+  socket.on('authenticate', async (claimedUserId) => {
     try {
+      const userId = socket.user._id.toString();
       console.log(`[AUTH ATTEMPT] For user: ${userId}`);
+      if (claimedUserId && claimedUserId.toString() !== userId) {
+        console.log(`[AUTH FAILED] ${claimedUserId} does not match the token of ${userId}`);
+        socket.emit('auth-error', 'User does not match token');
+        return;
+      }
       const user = await User.findById(userId);
       if (!user) {
         console.log(`[AUTH FAILED] User not found: ${userId}`);
         socket.emit('auth-error', 'User not found');
         return;
       }
-      const currentStatus = activeUsers.get(userId)?.status || 'online';
+      const suspension = await getActiveSuspension(user._id);
+      if (suspension) {
+        console.log(`[AUTH BLOCKED] User ${userId} is suspended`);
+        socket.emit('auth-error', describeSuspension(suspension));
+        socket.disconnect(true);
+        return;
+      }
+      // Pick up a search or match left in flight by a reconnect or restart
+      const [queued, pendingMatch] = await Promise.all([
+        matchStore.getEntry(userId),
+        matchStore.findPendingMatchForUser(userId)
+      ]);
+      const currentStatus = pendingMatch ? 'pending' : queued ? 'searching' : 'online';
       const userData = {
         socketId: socket.id,
         interests: user.interests.map(i => i.toLowerCase().trim()),
@@ -68,66 +138,99 @@ io.on('connection', (socket) => {
         status: currentStatus
       };
       activeUsers.set(userId, userData);
+      // Personal room so controllers can reach this user's devices; group
+      // controllers also use it to move them in and out of group rooms.
+      // Handlers that act for the caller require this verified id.
+      socket.data.userId = userId;
+      socket.join(userId.toString());
+      const groups = await Chat.find({ participants: userId, chatType: 'Group', isActive: true }).select('_id');
+      groups.forEach(group => socket.join(group._id.toString()));
       console.log(`[AUTH SUCCESS] User ${userId} authenticated`);
       await User.findByIdAndUpdate(userId, {
         online: true,
         chatStatus: currentStatus,
         lastActive: new Date()
       });
+      // Messages that arrived while they were offline have now reached them
+      await deliverPending(io, userId);
+      if (pendingMatch) {
+        console.log(`[MATCH RESUMED] ${pendingMatch.chatId} for ${userId}`);
+        await sendMatchFound(pendingMatch, userId);
+      } else if (queued) {
+        console.log(`[SEARCH RESUMED] For user ${userId}`);
+        addSearcher(userId);
+      }
     } catch (error) {
       console.error('[AUTH ERROR]', error);
       socket.emit('auth-error', 'Authentication failed');
     }
   });
 
-  // Start matchmaking (search)
-  socket.on('start-search', async (userId) => {
+  // Start matchmaking (search) for the authenticated user; any id in the
+  // payload is ignored
+  socket.on('start-search', async () => {
     try {
+      const userId = socket.data.userId;
+      if (!userId) {
+        socket.emit('search-error', 'Not authenticated');
+        return;
+      }
       console.log(`[SEARCH START] Initiated by: ${userId}`);
       const user = await User.findById(userId);
       if (!user) {
         console.log(`[SEARCH BLOCKED] User not found: ${userId}`);
         return;
       }
+      if (!user.isVerified) {
+        console.log(`[SEARCH BLOCKED] User ${userId} not verified`);
+        socket.emit('search-error', 'Please verify your email and phone number first');
+        return;
+      }
       if (user.chatStatus === 'in_chat') {
         console.log(`[SEARCH BLOCKED] User ${userId} already in chat`);
         socket.emit('search-error', 'Already in a chat');
         return;
       }
-      activeUsers.set(userId, {
-        ...activeUsers.get(userId),
-        status: 'searching'
-      });
-      if (matchIntervals.has(userId)) {
-        console.log(`[SEARCH CLEAR] Existing interval for: ${userId}`);
-        clearInterval(matchIntervals.get(userId));
-      }
-      const interval = setInterval(async () => {
-        try {
-          console.log(`[MATCHMAKING] Checking matches for ${userId}`);
-          const match = await findMatch(userId);
-          if (match) {
-            console.log(`[MATCH FOUND] For ${userId}: ${match.userId}`);
-            clearInterval(interval);
-            handlePotentialMatch(userId, match);
-          }
-        } catch (error) {
-          console.error('[MATCHMAKING ERROR]', error);
-          socket.emit('matchmaking-error', 'Matchmaking failed');
-        }
-      }, 3000);
-      matchIntervals.set(userId, interval);
+      const status = await startSearch(user);
+      setLocalStatus(userId, 'searching');
       console.log(`[SEARCH STARTED] For user ${userId}`);
+      socket.emit('search-status', status);
     } catch (error) {
       console.error('[SEARCH ERROR]', error);
-      socket.emit('search-error', 'Search initialization failed');
+      socket.emit('search-error', error instanceof MatchmakingError
+        ? error.message
+        : 'Search initialization failed');
     }
   });
 
-  // Accept match request
-  socket.on('accept-match', async ({ chatId, userId }) => {
+  // Cancel matchmaking
+  socket.on('stop-search', async () => {
+    try {
+      const userId = socket.data.userId;
+      if (!userId) {
+        socket.emit('search-error', 'Not authenticated');
+        return;
+      }
+      console.log(`[SEARCH STOP] Requested by: ${userId}`);
+      const wasSearching = await removeSearcher(userId);
+      setLocalStatus(userId, 'online');
+      await User.findByIdAndUpdate(userId, { chatStatus: 'online' });
+      io.to(userId.toString()).emit('search-stopped', { reason: 'cancelled', wasSearching });
+    } catch (error) {
+      console.error('[SEARCH STOP ERROR]', error);
+      socket.emit('search-error', 'Failed to stop search');
+    }
+  });
+
+  // Accept match request. The answer is always the authenticated user's;
+  // a rejection is remembered for good, so never take the id from the payload
+  socket.on('accept-match', async ({ chatId } = {}) => {
+    const userId = socket.data.userId;
     console.log(`[ACCEPT MATCH] ${userId} for chat ${chatId}`);
     try {
+      if (!userId) {
+        throw new Error('Not authenticated');
+      }
       const result = await handleMatchResponse(io, chatId, userId, true);
       handleMatchResult(result, chatId);
     } catch (error) {
@@ -137,9 +240,13 @@ io.on('connection', (socket) => {
   });
 
   // Reject match request
-  socket.on('reject-match', async ({ chatId, userId }) => {
+  socket.on('reject-match', async ({ chatId } = {}) => {
+    const userId = socket.data.userId;
     console.log(`[REJECT MATCH] ${userId} for chat ${chatId}`);
     try {
+      if (!userId) {
+        throw new Error('Not authenticated');
+      }
       const result = await handleMatchResponse(io, chatId, userId, false);
       handleMatchResult(result, chatId);
     } catch (error) {
@@ -148,35 +255,98 @@ io.on('connection', (socket) => {
     }
   });
 
-  // Send message: live messaging without page refresh
-  socket.on('send-message', async ({ chatId, senderId, content }) => {
+  // Send message: live messaging without page refresh. The sender gets an
+  // ack, through the callback if one was passed or else as "message-ack",
+  // echoing their clientId so they can match it to the pending message.
+  socket.on('send-message', async ({ chatId, senderId, content, clientId }, ack) => {
+    const reply = typeof ack === 'function' ? ack : (payload) => socket.emit('message-ack', payload);
     try {
       console.log(`[MESSAGE] Received in ${chatId} from ${senderId}`);
       if (!content || !chatId || !senderId) {
         throw new Error('Missing message parameters');
       }
-      const message = await Message.create({
-        content,
-        sender: senderId,
-        chat: chatId
-      });
-      const populatedMessage = await Message.populate(message, {
-        path: 'sender',
-        select: 'username avatar'
-      });
-      const chat = await Chat.findById(chatId);
-      if (!chat) {
-        throw new Error('Chat not found');
+      // Shared with the REST route: checks membership and blocks, then broadcasts
+      const result = await handleMessage(io, { chatId, senderId, content, clientId });
+      if (!result.success) {
+        throw new Error(result.error);
       }
+      reply({
+        success: true,
+        chatId,
+        clientId,
+        messageId: result.data._id,
+        status: result.data.status,
+        createdAt: result.data.createdAt,
+        duplicate: Boolean(result.duplicate)
+      });
       console.log(`[MESSAGE BROADCAST] To chat ${chatId}`);
-      // Emit the new message to everyone in the room
-      io.to(chatId).emit('new-message', populatedMessage);
     } catch (error) {
       console.error('[MESSAGE ERROR]', error);
+      reply({ success: false, chatId, clientId, error: error.message });
       socket.emit('message-error', error.message);
     }
   });
 
+  // A device received messages from "new-message"; tells their senders
+  socket.on('message-delivered', async ({ messageIds } = {}) => {
+    try {
+      if (!socket.data.userId) return;
+      await markDelivered(io, socket.data.userId, messageIds);
+    } catch (error) {
+      console.error('[DELIVERY RECEIPT ERROR]', error);
+    }
+  });
+
+  // Catch up after a reconnect; same payload and result as POST /api/chat/sync
+  socket.on('sync', async ({ chats, limit } = {}, ack) => {
+    const reply = typeof ack === 'function' ? ack : (payload) => socket.emit('sync-result', payload);
+    try {
+      if (!socket.data.userId) {
+        throw new Error('Not authenticated');
+      }
+      reply({ success: true, data: await syncMessages(socket.data.userId, chats, { limit }) });
+    } catch (error) {
+      console.error('[SYNC ERROR]', error);
+      reply({ success: false, error: error.message });
+    }
+  });
+
+  // Ask to keep a random chat; both asking promotes it
+  // The requester is always the authenticated user; the handlers only act
+  // for a participant of the chat
+  socket.on('connect-request', async ({ chatId, follow } = {}) => {
+    try {
+      const userId = socket.data.userId;
+      if (!userId) {
+        throw new Error('Not authenticated');
+      }
+      const result = await handleConnectRequest(io, { chatId, userId, follow });
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      socket.emit('connect-status', { chatId, status: result.status });
+    } catch (error) {
+      console.error('[CONNECT ERROR]', error);
+      socket.emit('connect-error', error.message);
+    }
+  });
+
+  socket.on('connect-withdraw', async ({ chatId } = {}) => {
+    try {
+      const userId = socket.data.userId;
+      if (!userId) {
+        throw new Error('Not authenticated');
+      }
+      const result = await withdrawConnectRequest(io, { chatId, userId });
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+    } catch (error) {
+      console.error('[CONNECT WITHDRAW ERROR]', error);
+      socket.emit('connect-error', error.message);
+    }
+  });
+
   // Additional socket events for typing and read receipts
   socket.on('typing', ({ chatId, userId }) => {
     // Broadcast the typing event to everyone else in the room
@@ -188,184 +358,156 @@ io.on('connection', (socket) => {
     console.log(`[STOP TYPING] User ${userId} stopped typing in chat ${chatId}`);
   });
 
-  socket.on('read-all', async ({ chatId, userId }) => {
-    // Assuming handleReadAll updates message statuses and then broadcasts the read-all event to the room.
-    await handleReadAll(io, { chatId, userId });
+  // Move the authenticated user's read cursor to the end of the chat;
+  // handleReadAll broadcasts the read-all event to the room
+  socket.on('read-all', async ({ chatId } = {}) => {
+    try {
+      const userId = socket.data.userId;
+      if (!userId) {
+        throw new Error('Not authenticated');
+      }
+      const result = await handleReadAll(io, { chatId, userId });
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+    } catch (error) {
+      console.error('[READ ALL ERROR]', error);
+      socket.emit('read-error', { chatId, message: error.message });
+    }
   });
 
   // Disconnect: clean up user state
   socket.on('disconnect', async () => {
     console.log(`[DISCONNECT] ${socket.id}`);
-    for (const [userId, data] of activeUsers.entries()) {
-      if (data.socketId === socket.id) {
-        cleanupUser(userId);
-        await User.findByIdAndUpdate(userId, {
-          online: false,
-          chatStatus: 'offline'
-        });
-        break;
+    try {
+      for (const [userId, data] of activeUsers.entries()) {
+        if (data.socketId === socket.id) {
+          await cleanupUser(userId);
+          await User.findByIdAndUpdate(userId, {
+            online: false,
+            chatStatus: 'offline'
+          });
+          break;
+        }
       }
+    } catch (error) {
+      console.error('[DISCONNECT ERROR]', error);
     }
   });
 });
 
 // ==================== Matchmaking & Utility Functions ====================
 
-// Example findMatch function: searches activeUsers for a compatible match
-const findMatch = async (userId) => {
-  try {
-    console.log(`[FIND MATCH] Starting search for: ${userId}`);
-    const searcher = activeUsers.get(userId);
-    if (!searcher || searcher.status !== 'searching') {
-      console.log(`[FIND MATCH ABORT] User ${userId} not searching`);
-      return null;
-    }
-    const potentialMatches = [];
-    const searcherPref = searcher.chatPreference?.toLowerCase();
-    console.log(`[MATCH PARAMS] Searcher pref: ${searcherPref}`);
-    activeUsers.forEach((candidate, candidateId) => {
-      if (candidateId === userId.toString()) return;
-      if (candidate.status !== 'searching') return;
-      const candidatePref = candidate.chatPreference?.toLowerCase();
-      if (candidatePref !== searcherPref) return;
-      const commonInterests = candidate.interests.filter(interest =>
-        searcher.interests.includes(interest)
-      );
-      if (commonInterests.length > 0) {
-        console.log(`[MATCH CANDIDATE] Found: ${candidateId} with ${commonInterests.length} common interests`);
-        potentialMatches.push({
-          userId: candidateId,
-          socketId: candidate.socketId,
-          commonCount: commonInterests.length
-        });
-      }
-    });
-    if (potentialMatches.length > 0) {
-      const bestMatch = potentialMatches.sort((a, b) => b.commonCount - a.commonCount)[0];
-      console.log(`[MATCH SELECTED] Best match: ${bestMatch.userId}`);
-      return bestMatch;
-    }
-    console.log(`[NO MATCHES] For user: ${userId}`);
-    return null;
-  } catch (error) {
-    console.error('[FIND MATCH ERROR]', error);
-    throw error;
+const setLocalStatus = (userId, status) => {
+  const entry = activeUsers.get(userId);
+  if (entry) {
+    activeUsers.set(userId, { ...entry, status });
   }
 };
 
-const handlePotentialMatch = async (searcherId, match) => {
-  try {
-    console.log(`[HANDLE POTENTIAL MATCH] Between ${searcherId} and ${match.userId}`);
-    const chatId = new mongoose.Types.ObjectId().toString();
-    pendingMatches.set(chatId, {
-      users: [searcherId, match.userId],
-      chatId,
-      acceptances: [],
-      rejections: [],
-      expiresAt: Date.now() + 120000
-    });
-    console.log(`[PENDING MATCH CREATED] Chat ID: ${chatId}`);
-    setTimeout(() => {
-      if (pendingMatches.has(chatId)) {
-        console.log(`[MATCH EXPIRED] ${chatId}`);
-        pendingMatches.delete(chatId);
-      }
-    }, 120000);
-    activeUsers.set(searcherId, { ...activeUsers.get(searcherId), status: 'pending' });
-    activeUsers.set(match.userId, { ...activeUsers.get(match.userId), status: 'pending' });
-    const [user1, user2] = await Promise.all([
-      User.findById(searcherId),
-      User.findById(match.userId)
-    ]);
-    console.log(`[NOTIFYING USERS] About match ${chatId}`);
-    io.to(match.socketId).emit('match-found', {
-      chatId,
-      user: user1.toObject(),
-      promptUser: true
-    });
-    io.to(activeUsers.get(searcherId).socketId).emit('match-found', {
-      chatId,
-      user: user2.toObject(),
-      promptUser: false
-    });
-  } catch (error) {
-    console.error('[MATCH HANDLING ERROR]', error);
-    throw error;
-  }
+// Tell one side of a pending match who they were paired with. The second
+// user is the one prompted to accept first.
+const sendMatchFound = async (match, recipientId) => {
+  const partnerId = match.users.find(id => id !== recipientId.toString());
+  const partner = await User.findById(partnerId);
+  if (!partner) return;
+  io.to(recipientId.toString()).emit('match-found', {
+    chatId: match.chatId,
+    user: maskUser(partner),
+    promptUser: match.users[1] === recipientId.toString(),
+    expiresAt: match.expiresAt
+  });
+};
+
+// Matchmaker hook: both users leave the queue and are asked to accept
+const handlePotentialMatch = async (match) => {
+  console.log(`[PENDING MATCH CREATED] Chat ID: ${match.chatId}`);
+  match.users.forEach(userId => setLocalStatus(userId, 'pending'));
+  console.log(`[NOTIFYING USERS] About match ${match.chatId}`);
+  await Promise.all(match.users.map(userId => sendMatchFound(match, userId)));
+};
+
+const handleMatchExpired = async (match) => {
+  console.log(`[MATCH EXPIRED] ${match.chatId}`);
+  match.users.forEach(userId => setLocalStatus(userId, 'online'));
+  io.to(match.users).emit('match-expired', { chatId: match.chatId });
 };
 
 const handleMatchResponse = async (io, chatId, userId, isAccept) => {
   try {
     console.log(`[HANDLE MATCH RESPONSE] Chat: ${chatId}, User: ${userId}, Accept: ${isAccept}`);
-    const match = pendingMatches.get(chatId);
-    if (!match) {
+    const recorded = await matchStore.recordResponse(chatId, userId, isAccept);
+    if (!recorded) {
       console.log(`[MATCH EXPIRED] Chat ID: ${chatId}`);
       throw new Error('Match expired');
     }
-    const responseArray = isAccept ? match.acceptances : match.rejections;
-    responseArray.push(userId);
-    console.log(`[RESPONSE UPDATED] Chat ${chatId}: Accepts ${match.acceptances.length}, Rejects ${match.rejections.length}`);
-    if (match.acceptances.length + match.rejections.length === 2) {
-      let result;
-      if (match.acceptances.length === 2) {
-        console.log(`[MATCH ACCEPTED] By both users for chat ${chatId}`);
-        const [user1, user2] = await Promise.all([
-          User.findById(match.users[0]),
-          User.findById(match.users[1])
-        ]);
-        if (!user1 || !user2) {
-          console.log(`[USER MISSING] One or both users not found`);
-          throw new Error('One or both users not found');
-        }
-        const pref1 = user1.chatPreference?.toLowerCase();
-        const pref2 = user2.chatPreference?.toLowerCase();
-        console.log(`[PREF CHECK] ${pref1} vs ${pref2}`);
-        if (pref1 !== pref2) {
-          console.log(`[PREF MISMATCH] ${pref1} != ${pref2}`);
-          throw new Error('Mismatched chat preferences');
-        }
-        const chatType = user1.chatPreference.charAt(0).toUpperCase() + user1.chatPreference.slice(1).toLowerCase();
-        console.log(`[CHAT CREATION] Type: ${chatType}`);
-        const chat = await Chat.create({
-          participants: match.users.map(id => new mongoose.Types.ObjectId(id)),
-          chatType: chatType,
-          isActive: true
-        }).catch(error => {
-          console.error('[CHAT CREATION ERROR]', error);
-          throw new Error('Failed to create chat');
-        });
-        if (!chat) {
-          console.log(`[CHAT CREATION FAILED] For ${chatId}`);
-          throw new Error('Chat creation failed');
-        }
-        console.log(`[CHAT CREATED] ID: ${chat._id}`);
-        await User.updateMany(
-          { _id: { $in: match.users } },
-          { 
-            chatStatus: 'in_chat',
-            $addToSet: { activeChats: chat._id }
-          }
-        );
-        match.users.forEach(userId => {
-          const entry = activeUsers.get(userId);
-          if (entry) {
-            entry.status = 'in_chat';
-            console.log(`[USER STATUS UPDATE] ${userId} to in_chat`);
-          }
-        });
-        result = { success: true, chat };
-      } else {
-        console.log(`[MATCH REJECTED] For chat ${chatId}`);
-        await User.updateMany(
-          { _id: { $in: match.users } },
-          { chatStatus: 'online' }
-        );
-        result = { success: false, status: 'rejected' };
+    console.log(`[RESPONSE UPDATED] Chat ${chatId}: Accepts ${recorded.acceptances.length}, Rejects ${recorded.rejections.length}`);
+    if (recorded.acceptances.length + recorded.rejections.length < 2) {
+      return { success: true, status: 'pending' };
+    }
+    // Whoever removes the match settles it; a concurrent answer just returns
+    const match = await matchStore.removePendingMatch(chatId);
+    if (!match) {
+      return { success: true, status: 'pending' };
+    }
+    let result;
+    if (recorded.acceptances.length === 2) {
+      console.log(`[MATCH ACCEPTED] By both users for chat ${chatId}`);
+      const [user1, user2] = await Promise.all([
+        User.findById(match.users[0]),
+        User.findById(match.users[1])
+      ]);
+      if (!user1 || !user2) {
+        console.log(`[USER MISSING] One or both users not found`);
+        throw new Error('One or both users not found');
+      }
+      const pref1 = user1.chatPreference?.toLowerCase();
+      const pref2 = user2.chatPreference?.toLowerCase();
+      console.log(`[PREF CHECK] ${pref1} vs ${pref2}`);
+      if (pref1 !== pref2) {
+        console.log(`[PREF MISMATCH] ${pref1} != ${pref2}`);
+        throw new Error('Mismatched chat preferences');
       }
-      pendingMatches.delete(chatId);
-      return result;
+      const chatType = user1.chatPreference.charAt(0).toUpperCase() + user1.chatPreference.slice(1).toLowerCase();
+      console.log(`[CHAT CREATION] Type: ${chatType}`);
+      const chat = await Chat.create({
+        participants: match.users.map(id => new mongoose.Types.ObjectId(id)),
+        chatType: chatType,
+        origin: 'random',
+        isActive: true
+      }).catch(error => {
+        console.error('[CHAT CREATION ERROR]', error);
+        throw new Error('Failed to create chat');
+      });
+      if (!chat) {
+        console.log(`[CHAT CREATION FAILED] For ${chatId}`);
+        throw new Error('Chat creation failed');
+      }
+      console.log(`[CHAT CREATED] ID: ${chat._id}`);
+      await recordMatched(match.users, chat);
+      await User.updateMany(
+        { _id: { $in: match.users } },
+        { 
+          chatStatus: 'in_chat',
+          $addToSet: { activeChats: chat._id }
+        }
+      );
+      match.users.forEach(userId => {
+        setLocalStatus(userId, 'in_chat');
+        console.log(`[USER STATUS UPDATE] ${userId} to in_chat`);
+      });
+      result = { success: true, chat, users: match.users };
+    } else {
+      console.log(`[MATCH REJECTED] For chat ${chatId}`);
+      await recordRejected(recorded);
+      await User.updateMany(
+        { _id: { $in: match.users } },
+        { chatStatus: 'online' }
+      );
+      match.users.forEach(userId => setLocalStatus(userId, 'online'));
+      result = { success: false, status: 'rejected', users: match.users };
     }
-    return { success: true, status: 'pending' };
+    return result;
   } catch (error) {
     console.error('[MATCH RESPONSE ERROR]', error);
     throw error;
@@ -375,42 +517,81 @@ const handleMatchResponse = async (io, chatId, userId, isAccept) => {
 const handleMatchResult = (result, chatId) => {
   try {
     console.log(`[HANDLE MATCH RESULT] For chat ${chatId}, Success: ${result.success}`);
+    if (result.status === 'pending') return;
+    // Nobody has joined the pending match's room, so reach both users directly
+    const recipients = result.users.map(id => id.toString());
     if (result.success && result.chat) {
       console.log(`[MATCH CONFIRMED] Chat ${chatId}`);
-      // Emit match-confirmed to everyone in the chat room.
       // The client will then call "join-chat" to actually join the room.
-      io.to(chatId).emit('match-confirmed', {
-        chatId,
+      io.to(recipients).emit('match-confirmed', {
+        matchId: chatId,
+        chatId: result.chat._id,
         participants: result.chat.participants
       });
     } else if (result.success) {
       console.error(`[MATCH ERROR] Chat creation failed for ${chatId}`);
-      io.to(chatId).emit('match-error', { message: 'Failed to create chat session' });
+      io.to(recipients).emit('match-error', { message: 'Failed to create chat session' });
     } else {
       console.log(`[MATCH REJECTED] Notifying chat ${chatId}`);
-      io.to(chatId).emit('match-rejected', { chatId });
+      io.to(recipients).emit('match-rejected', { chatId });
     }
   } catch (error) {
     console.error('[MATCH RESULT HANDLING ERROR]', error);
   }
 };
 
-const cleanupUser = (userId) => {
+const handleSearchTimeout = async (entry) => {
+  console.log(`[SEARCH TIMEOUT] For user ${entry.userId}`);
+  setLocalStatus(entry.userId, 'online');
+  await User.findByIdAndUpdate(entry.userId, { chatStatus: 'online' });
+  io.to(entry.userId).emit('search-timeout', { joinedAt: entry.joinedAt });
+};
+
+// Take the user out of the queue and call off any match waiting for an
+// answer, telling the partner
+const cleanupUser = async (userId) => {
   console.log(`[CLEANUP START] For user ${userId}`);
-  const interval = matchIntervals.get(userId);
-  if (interval) {
-    console.log(`[CLEAR INTERVAL] For user ${userId}`);
-    clearInterval(interval);
-  }
-  matchIntervals.delete(userId);
   activeUsers.delete(userId);
+  await removeSearcher(userId);
+  const pending = await matchStore.findPendingMatchForUser(userId);
+  if (pending && await matchStore.removePendingMatch(pending.chatId)) {
+    pending.users
+      .filter(id => id !== userId.toString())
+      .forEach(partnerId => {
+        setLocalStatus(partnerId, 'online');
+        io.to(partnerId).emit('match-cancelled', { chatId: pending.chatId });
+      });
+  }
   console.log(`[CLEANUP COMPLETE] For ${userId}`);
 };
 
+// Pairs the queue as users join and on a fixed cadence; its first run
+// settles matches that expired while the server was down
+startMatchmaker({
+  onPaired: handlePotentialMatch,
+  onExpired: handleMatchExpired,
+  onTimeout: handleSearchTimeout,
+  onStatus: (userId, status) => io.to(userId).emit('search-status', status)
+});
+
+// Drop a suspended user from matchmaking and any match waiting for an answer
+suspensionEvents.on('suspended', async (userId) => {
+  try {
+    console.log(`[SUSPENDED] Removing ${userId} from matchmaking`);
+    await cleanupUser(userId);
+  } catch (error) {
+    console.error('[SUSPENSION CLEANUP ERROR]', error);
+  }
+});
+
 // ==================== Route Integration ====================
 app.use('/api/auth', require('./routes/authRoutes'));
 app.use('/api/chat', require('./routes/chatRoutes'));
 app.use('/api/post', require('./routes/postRoutes'));
+app.use('/api/users', require('./routes/userRoutes'));
+app.use('/api/export', require('./routes/exportRoutes'));
+app.use('/api/admin', require('./routes/adminRoutes'));
+app.use('/api/reports', require('./routes/reportRoutes'));
 
 app.get('/', (req, res) => res.send('Chat Service API'));
 
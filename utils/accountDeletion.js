@@ -0,0 +1,133 @@
+// utils/accountDeletion.js
+const User = require('../models/userModel');
+const Post = require('../models/postModel');
+const Chat = require('../models/chatModel');
+const Message = require('../models/messageModel');
+const Block = require('../models/blockModel');
+const Session = require('../models/sessionModel');
+const VerificationCode = require('../models/verificationCodeModel');
+const DataExport = require('../models/dataExportModel');
+const Suspension = require('../models/suspensionModel');
+const MatchHistory = require('../models/matchHistoryModel');
+const MatchQueueEntry = require('../models/matchQueueModel');
+const fs = require('fs');
+const { deleteFromS3 } = require('./s3');
+const { deleteAvatar } = require('./avatar');
+
+const GRACE_PERIOD_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10) || 30;
+const JOB_INTERVAL_MS = 60 * 60 * 1000;
+
+const gracePeriodEnd = () => new Date(Date.now() + GRACE_PERIOD_DAYS * 24 * 60 * 60 * 1000);
+
+// Permanently remove a user and everything that points at them
+const purgeUser = async (userId) => {
+  // Their own posts, including uploaded media
+  const posts = await Post.find({ user: userId }).select('mediaUrls').lean();
+  for (const post of posts) {
+    for (const mediaUrl of post.mediaUrls) {
+      try {
+        await deleteFromS3(mediaUrl);
+      } catch (error) {
+        console.error(`[ACCOUNT DELETION] Failed to delete ${mediaUrl}:`, error.message);
+      }
+    }
+  }
+  await Post.deleteMany({ user: userId });
+
+  // Comments and likes on other people's posts
+  await Post.updateMany(
+    { $or: [{ 'comments.user': userId }, { likes: userId }] },
+    { $pull: { comments: { user: userId }, likes: userId } }
+  );
+
+  // Messages they sent become tombstones, as if they had deleted each one;
+  // also drop the reactions and receipts they left
+  await Message.updateMany({ sender: userId, deletedAt: null }, Message.deletionUpdate());
+  await Message.updateMany(
+    { $or: [{ 'reactions.user': userId }, { 'deliveryReceipts.user': userId }, { 'readReceipts.user': userId }] },
+    { $pull: { reactions: { user: userId }, deliveryReceipts: { user: userId }, readReceipts: { user: userId } } }
+  );
+
+  // Leave every chat; chats nobody is left in are removed entirely. Groups
+  // stay open, handed to an admin (or any member) if the user owned them.
+  const ownedGroups = await Chat.find({ chatType: 'Group', owner: userId });
+  for (const group of ownedGroups) {
+    const remaining = group.participants.filter(id => !id.equals(userId));
+    const successor = group.admins.find(id => !id.equals(userId) && remaining.some(m => m.equals(id))) || remaining[0];
+    if (successor) {
+      await Chat.updateOne({ _id: group._id }, { owner: successor, $pull: { admins: successor } });
+    }
+  }
+  await Chat.updateMany(
+    { participants: userId, chatType: 'Group' },
+    { $pull: { participants: userId, admins: userId, readCursors: { user: userId } } }
+  );
+  await Chat.updateMany(
+    { participants: userId },
+    { $pull: { participants: userId, readCursors: { user: userId } }, isActive: false }
+  );
+  const emptyChats = await Chat.find({ participants: { $size: 0 } }).select('_id').lean();
+  const emptyChatIds = emptyChats.map(chat => chat._id);
+  await Message.deleteMany({ chat: { $in: emptyChatIds } });
+  await Chat.deleteMany({ _id: { $in: emptyChatIds } });
+
+  await Block.deleteMany({ $or: [{ blocker: userId }, { blocked: userId }] });
+
+  await User.updateMany(
+    { $or: [{ followers: userId }, { following: userId }] },
+    { $pull: { followers: userId, following: userId } }
+  );
+
+  await Session.deleteMany({ user: userId });
+  await VerificationCode.deleteMany({ user: userId });
+  await Suspension.deleteMany({ user: userId });
+  await MatchHistory.deleteMany({ $or: [{ user: userId }, { partner: userId }] });
+  await MatchQueueEntry.deleteMany({ user: userId });
+
+  const dataExports = await DataExport.find({ user: userId }).select('+filePath');
+  for (const job of dataExports) {
+    if (job.filePath) {
+      await fs.promises.rm(job.filePath, { force: true });
+    }
+  }
+  await DataExport.deleteMany({ user: userId });
+
+  const user = await User.findById(userId).select('avatarSizes').lean();
+  await deleteAvatar(user?.avatarSizes);
+
+  await User.findByIdAndDelete(userId);
+};
+
+// Purge every account whose grace period has run out
+const runAccountDeletionJob = async () => {
+  const dueUsers = await User.find({
+    active: false,
+    scheduledDeletionAt: { $lte: new Date() }
+  }).select('_id').lean();
+
+  for (const { _id } of dueUsers) {
+    try {
+      await purgeUser(_id);
+      console.log(`[ACCOUNT DELETION] Purged user ${_id}`);
+    } catch (error) {
+      console.error(`[ACCOUNT DELETION] Failed for user ${_id}:`, error);
+    }
+  }
+
+  return dueUsers.length;
+};
+
+const startAccountDeletionJob = (intervalMs = JOB_INTERVAL_MS) => {
+  const run = () => runAccountDeletionJob().catch(error =>
+    console.error('[ACCOUNT DELETION ERROR]', error)
+  );
+  return setInterval(run, intervalMs);
+};
+
+module.exports = {
+  GRACE_PERIOD_DAYS,
+  gracePeriodEnd,
+  purgeUser,
+  runAccountDeletionJob,
+  startAccountDeletionJob
+};
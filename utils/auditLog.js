@@ -0,0 +1,21 @@
+// utils/auditLog.js
+const AuditLog = require('../models/auditLogModel');
+
+// Record a privileged action. Failures are logged rather than thrown so an
+// audit write can't undo an action that already happened.
+const recordAudit = async (req, action, targetType, targetId, details) => {
+  try {
+    await AuditLog.create({
+      actor: req.user._id,
+      action,
+      targetType,
+      targetId,
+      details,
+      ipAddress: req.ip
+    });
+  } catch (error) {
+    console.error(`[AUDIT ERROR] ${action} on ${targetType} ${targetId}:`, error);
+  }
+};
+
+module.exports = { recordAudit };
@@ -0,0 +1,49 @@
+// utils/avatar.js
+const fs = require('fs');
+const sharp = require('sharp');
+const { v4: uuidv4 } = require('uuid');
+const { uploadBufferToS3, deleteFromS3, isBucketUrl } = require('./s3');
+
+// Square sizes generated for every avatar, in pixels
+const AVATAR_SIZES = {
+  small: 64,
+  medium: 256,
+  large: 512
+};
+
+// Resize an uploaded image to every standard size and upload them to S3.
+// Returns the URLs keyed by size name. The temporary file is always removed.
+const processAvatar = async (file, userId) => {
+  const baseKey = `avatars/${userId}/${uuidv4()}`;
+
+  try {
+    const urls = {};
+    for (const [name, size] of Object.entries(AVATAR_SIZES)) {
+      const buffer = await sharp(file.path)
+        .rotate()
+        .resize(size, size, { fit: 'cover' })
+        .jpeg({ quality: 85 })
+        .toBuffer();
+      urls[name] = await uploadBufferToS3(buffer, `${baseKey}-${size}.jpg`, 'image/jpeg');
+    }
+    return urls;
+  } finally {
+    if (fs.existsSync(file.path)) {
+      fs.unlinkSync(file.path);
+    }
+  }
+};
+
+// Remove a previous avatar's objects; the default image is left alone
+const deleteAvatar = async (avatarSizes = {}) => {
+  for (const url of Object.values(avatarSizes)) {
+    if (!isBucketUrl(url)) continue;
+    try {
+      await deleteFromS3(url);
+    } catch (error) {
+      console.error('Error deleting old avatar from S3:', error);
+    }
+  }
+};
+
+module.exports = { AVATAR_SIZES, processAvatar, deleteAvatar };
@@ -0,0 +1,44 @@
+// utils/blockList.js
+const Block = require('../models/blockModel');
+
+// Blocks are read on almost every chat, match and feed request, so each
+// user's block set is cached briefly. Blocking or unblocking clears the
+// entries for both users straight away; other instances catch up on expiry.
+const CACHE_TTL_MS = 60 * 1000;
+const cache = new Map();
+
+// Ids (as strings) of everyone the user blocked or was blocked by
+const loadBlockedSet = async (userId) => {
+  const key = userId.toString();
+  const cached = cache.get(key);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.ids;
+  }
+
+  const blocks = await Block.find({
+    $or: [{ blocker: userId }, { blocked: userId }]
+  }).select('blocker blocked').lean();
+
+  const ids = new Set(blocks.map(block =>
+    block.blocker.toString() === key ? block.blocked.toString() : block.blocker.toString()
+  ));
+  cache.set(key, { ids, expiresAt: Date.now() + CACHE_TTL_MS });
+  return ids;
+};
+
+// True if either user has blocked the other
+const isBlockedBetween = async (userA, userB) => {
+  const ids = await loadBlockedSet(userA);
+  return ids.has(userB.toString());
+};
+
+// Ids of everyone the user blocked or was blocked by
+const getBlockedUserIds = async (userId) => {
+  return [...(await loadBlockedSet(userId))];
+};
+
+const invalidateBlockCache = (...userIds) => {
+  userIds.forEach(userId => cache.delete(userId.toString()));
+};
+
+module.exports = { isBlockedBetween, getBlockedUserIds, invalidateBlockCache };
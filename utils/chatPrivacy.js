@@ -0,0 +1,45 @@
+// utils/chatPrivacy.js
+// Strangers in a random chat only see a little of each other until both
+// choose to connect. The username is hidden too, since it leads straight to
+// the full profile.
+
+const VISIBLE_FIELDS = ['_id', 'id', 'firstName', 'gender', 'interests', 'online'];
+
+const isMaskedChat = (chat) =>
+  Boolean(chat) && chat.origin === 'random' && !chat.promotedAt;
+
+const toPlain = (doc) => (doc && typeof doc.toObject === 'function' ? doc.toObject() : doc);
+
+// Unpopulated ids pass through untouched
+const maskUser = (user) => {
+  const plain = toPlain(user);
+  if (!plain || typeof plain !== 'object' || !plain._id) return plain;
+  const masked = { masked: true };
+  VISIBLE_FIELDS.forEach(field => {
+    if (plain[field] !== undefined) masked[field] = plain[field];
+  });
+  return masked;
+};
+
+// Chat as `viewerId` may see it; the viewer's own entry is left alone
+const presentChat = (chat, viewerId) => {
+  const plain = toPlain(chat);
+  if (!isMaskedChat(plain)) return plain;
+  return {
+    ...plain,
+    participants: (plain.participants || []).map(participant =>
+      viewerId && (participant._id || participant).toString() === viewerId.toString()
+        ? participant
+        : maskUser(participant)
+    )
+  };
+};
+
+// Messages are broadcast to the whole room, so the sender is masked for everyone
+const presentMessage = (message, chat) => {
+  const plain = toPlain(message);
+  if (!isMaskedChat(chat) || !plain) return plain;
+  return { ...plain, sender: maskUser(plain.sender) };
+};
+
+module.exports = { isMaskedChat, maskUser, presentChat, presentMessage };
@@ -0,0 +1,51 @@
+// utils/credentials.js
+const validator = require('validator');
+
+const normalizeEmail = (email) => email.trim().toLowerCase();
+
+const normalizeUsername = (username) => username.trim().toLowerCase();
+
+// Keep a leading "+" and the digits; drop spaces, dashes, dots and brackets.
+// Numbers (e.g. from a JSON body) are treated as their digits; anything else
+// that isn't a string is left for validation to reject.
+const normalizePhone = (phone) => {
+  if (typeof phone === 'number') phone = String(phone);
+  if (typeof phone !== 'string') return phone;
+  const trimmed = phone.trim();
+  const digits = trimmed.replace(/\D/g, '');
+  return trimmed.startsWith('+') ? `+${digits}` : digits;
+};
+
+const looksLikePhone = (value) => /^\+?[\d\s().-]{7,20}$/.test(value.trim());
+
+// Work out what a login credential is and build the matching user query
+const resolveCredential = (credential) => {
+  const value = credential.trim();
+
+  if (validator.isEmail(value)) {
+    return { type: 'email', query: { email: normalizeEmail(value) } };
+  }
+
+  // New usernames can't look like phone numbers (see the user model), so this
+  // is a phone number. Accounts created before normalization may still store
+  // the raw form, and older usernames may still look like one: they are only
+  // tried when no phone number matches.
+  if (looksLikePhone(value)) {
+    const phone = normalizePhone(value);
+    return {
+      type: 'phone',
+      query: { phoneNumber: { $in: [phone, value] } },
+      fallbackQuery: { username: normalizeUsername(value) }
+    };
+  }
+
+  return { type: 'username', query: { username: normalizeUsername(value) } };
+};
+
+module.exports = {
+  looksLikePhone,
+  normalizeEmail,
+  normalizeUsername,
+  normalizePhone,
+  resolveCredential
+};
@@ -0,0 +1,207 @@
+// utils/dataExport.js
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const User = require('../models/userModel');
+const Post = require('../models/postModel');
+const Chat = require('../models/chatModel');
+const Message = require('../models/messageModel');
+const Block = require('../models/blockModel');
+const MatchHistory = require('../models/matchHistoryModel');
+const DataExport = require('../models/dataExportModel');
+
+const gzip = promisify(zlib.gzip);
+const EXPORT_DIR = process.env.EXPORT_DIR || 'tmp/exports';
+
+const PRIVATE_USER_FIELDS = [
+  '-password',
+  '-passwordResetToken',
+  '-passwordResetExpires',
+  '-twoFactorSecret',
+  '-twoFactorPendingSecret',
+  '-twoFactorLastUsedStep',
+  '-twoFactorRecoveryCodes',
+  '-loginAttempts'
+].join(' ');
+
+const PUBLIC_USER_FIELDS = 'username firstName lastName';
+
+// Gather everything we hold about a user into one plain object
+const collectUserData = async (userId) => {
+  const profile = await User.findById(userId)
+    .select(PRIVATE_USER_FIELDS)
+    .populate('followers', PUBLIC_USER_FIELDS)
+    .populate('following', PUBLIC_USER_FIELDS)
+    .lean();
+
+  const posts = await Post.find({ user: userId })
+    .sort({ createdAt: 1 })
+    .lean();
+
+  const commentedPosts = await Post.find({ 'comments.user': userId })
+    .select('user comments')
+    .populate('user', 'username')
+    .lean();
+  const comments = commentedPosts.flatMap(post =>
+    post.comments
+      .filter(comment => comment.user.toString() === userId.toString())
+      .map(comment => ({
+        _id: comment._id,
+        post: post._id,
+        postAuthor: post.user?.username,
+        text: comment.text,
+        createdAt: comment.createdAt
+      }))
+  );
+
+  const likedPosts = await Post.find({ likes: userId })
+    .select('user text createdAt')
+    .populate('user', 'username')
+    .lean();
+  const likes = likedPosts.map(post => ({
+    post: post._id,
+    postAuthor: post.user?.username,
+    postText: post.text,
+    postCreatedAt: post.createdAt
+  }));
+
+  const chatDocs = await Chat.find({ participants: userId })
+    .populate('participants', PUBLIC_USER_FIELDS)
+    .lean();
+  const chats = [];
+  for (const chat of chatDocs) {
+    const messages = await Message.find({ chat: chat._id, deletedAt: null })
+      .select('sender content edited reactions createdAt updatedAt')
+      .populate('sender', 'username')
+      .sort({ createdAt: 1 })
+      .lean();
+    chats.push({
+      _id: chat._id,
+      chatType: chat.chatType,
+      isActive: chat.isActive,
+      participants: chat.participants,
+      createdAt: chat.createdAt,
+      messages
+    });
+  }
+
+  const reactionMessages = await Message.find({ 'reactions.user': userId })
+    .select('chat reactions')
+    .lean();
+  const reactions = reactionMessages.flatMap(message =>
+    message.reactions
+      .filter(reaction => reaction.user?.toString() === userId.toString())
+      .map(reaction => ({
+        message: message._id,
+        chat: message.chat,
+        emoji: reaction.emoji,
+        createdAt: reaction.createdAt
+      }))
+  );
+
+  const blocks = await Block.find({ blocker: userId })
+    .populate('blocked', 'username')
+    .lean();
+
+  const matchHistory = await MatchHistory.find({ user: userId })
+    .populate('partner', 'username')
+    .select('partner event chat chatType createdAt')
+    .lean();
+
+  return {
+    exportedAt: new Date(),
+    profile,
+    posts,
+    comments,
+    likes,
+    chats,
+    reactions,
+    blocks: blocks.map(block => ({
+      user: block.blocked,
+      createdAt: block.createdAt
+    })),
+    matchHistory,
+    followers: profile?.followers || [],
+    following: profile?.following || []
+  };
+};
+
+// Build the archive for a queued export and record the outcome
+const processExport = async (exportId) => {
+  const job = await DataExport.findOneAndUpdate(
+    { _id: exportId, status: { $in: ['pending', 'processing'] } },
+    { status: 'processing', startedAt: Date.now() },
+    { new: true }
+  );
+  if (!job) return;
+
+  try {
+    const data = await collectUserData(job.user);
+    let contents = Buffer.from(JSON.stringify(data, null, 2));
+    if (job.compressed) {
+      contents = await gzip(contents);
+    }
+
+    await fs.promises.mkdir(EXPORT_DIR, { recursive: true });
+    const filePath = path.join(EXPORT_DIR, `${job._id}.json${job.compressed ? '.gz' : ''}`);
+    await fs.promises.writeFile(filePath, contents);
+
+    job.status = 'completed';
+    job.filePath = filePath;
+    job.fileSize = contents.length;
+    job.completedAt = Date.now();
+    await job.save();
+    console.log(`[DATA EXPORT] Completed ${job._id} for user ${job.user}`);
+  } catch (error) {
+    console.error(`[DATA EXPORT] Failed ${job._id}:`, error);
+    job.status = 'failed';
+    job.error = 'Export failed. Please request a new one.';
+    await job.save();
+  }
+};
+
+// Run the export outside the request that asked for it
+const queueExport = (exportId) => {
+  setImmediate(() => {
+    processExport(exportId).catch(error =>
+      console.error('[DATA EXPORT ERROR]', error)
+    );
+  });
+};
+
+// Pick up exports that were interrupted by a restart
+const resumePendingExports = async () => {
+  const jobs = await DataExport.find({ status: { $in: ['pending', 'processing'] } })
+    .select('_id')
+    .lean();
+  jobs.forEach(job => queueExport(job._id));
+  return jobs.length;
+};
+
+// Delete expired archives along with their records
+const removeExpiredExports = async () => {
+  const expired = await DataExport.find({ expiresAt: { $lte: new Date() } })
+    .select('+filePath');
+
+  for (const job of expired) {
+    if (job.filePath) {
+      await fs.promises.rm(job.filePath, { force: true });
+    }
+    await job.deleteOne();
+  }
+  return expired.length;
+};
+
+const startDataExportJobs = (intervalMs = 60 * 60 * 1000) => {
+  resumePendingExports().catch(error => console.error('[DATA EXPORT ERROR]', error));
+  return setInterval(() => {
+    removeExpiredExports().catch(error => console.error('[DATA EXPORT ERROR]', error));
+  }, intervalMs);
+};
+
+module.exports = {
+  collectUserData,
+  queueExport,
+  startDataExportJobs
+};
@@ -0,0 +1,6 @@
+// utils/escapeRegex.js
+
+// Escape user input for use inside a RegExp
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+module.exports = escapeRegex;
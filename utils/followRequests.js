@@ -0,0 +1,36 @@
+// utils/followRequests.js
+const User = require('../models/userModel');
+const FollowRequest = require('../models/followRequestModel');
+
+// Approve a pending request: follow on both sides and tell the requester
+const acceptFollowRequest = async (request, io) => {
+  const requester = await User.findById(request.requester);
+  if (requester) {
+    await requester.followUser(request.target);
+  }
+
+  request.status = 'accepted';
+  request.respondedAt = Date.now();
+  await request.save();
+
+  if (io && requester) {
+    const target = await User.findById(request.target).select('username firstName lastName avatar');
+    io.to(requester._id.toString()).emit('follow-request-accepted', {
+      requestId: request._id,
+      user: target
+    });
+  }
+
+  return request;
+};
+
+// Accept everything still waiting, e.g. when an account goes public
+const acceptAllPendingRequests = async (targetId, io) => {
+  const pending = await FollowRequest.find({ target: targetId, status: 'pending' });
+  for (const request of pending) {
+    await acceptFollowRequest(request, io);
+  }
+  return pending.length;
+};
+
+module.exports = { acceptFollowRequest, acceptAllPendingRequests };
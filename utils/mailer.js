@@ -0,0 +1,69 @@
+// utils/mailer.js
+const fs = require('fs');
+const path = require('path');
+
+// A transport is any object with an async `send({ to, subject, text, html })`.
+// The stand-ins below keep mail flows usable offline; a real provider can be
+// plugged in at startup with `setTransport`. Mails carry reset links and
+// codes, so production never falls back to printing them.
+
+const consoleTransport = {
+  name: 'console',
+  send: async (mail) => {
+    console.log(`[MAIL] To: ${mail.to} | Subject: ${mail.subject}\n${mail.text}`);
+    return { delivered: true };
+  }
+};
+
+const createFileTransport = (dir = process.env.MAIL_DIR || 'tmp/mail') => ({
+  name: 'file',
+  send: async (mail) => {
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    const file = path.join(dir, `${Date.now()}-${mail.to.replace(/[^a-z0-9@._-]/gi, '_')}.json`);
+    await fs.promises.writeFile(file, JSON.stringify({ ...mail, sentAt: new Date() }, null, 2));
+    return { delivered: true, file };
+  }
+});
+
+const defaultTransport = () => {
+  switch (process.env.MAIL_TRANSPORT) {
+    case 'file':
+      return createFileTransport();
+    default:
+      if (process.env.NODE_ENV === 'production') {
+        throw new Error('No mail transport configured. Register one with setTransport.');
+      }
+      return consoleTransport;
+  }
+};
+
+let transport = null;
+
+const setTransport = (customTransport) => {
+  if (!customTransport || typeof customTransport.send !== 'function') {
+    throw new Error('Mail transport must implement send(mail)');
+  }
+  transport = customTransport;
+};
+
+const sendMail = async ({ to, subject, text, html }) => {
+  if (!transport) {
+    transport = defaultTransport();
+  }
+  return transport.send({
+    from: process.env.MAIL_FROM || 'Circle <no-reply@circle.app>',
+    to,
+    subject,
+    text,
+    html
+  });
+};
+
+module.exports = {
+  sendMail,
+  setTransport,
+  consoleTransport,
+  createFileTransport
+};
@@ -0,0 +1,81 @@
+// utils/matchHistory.js
+const MatchHistory = require('../models/matchHistoryModel');
+
+// Pairs that met recently aren't matched again until the cooldown passes;
+// for a while after that they are only ranked lower
+const REMATCH_COOLDOWN_MS = (parseFloat(process.env.MATCH_REMATCH_COOLDOWN_HOURS) || 24) * 60 * 60 * 1000;
+const RECENT_PARTNER_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+
+const pairRecords = (users, event, extra = {}) => {
+  const [a, b] = users;
+  return [
+    { user: a, partner: b, event, ...extra },
+    { user: b, partner: a, event, ...extra }
+  ];
+};
+
+const recordMatched = (users, chat) => {
+  return MatchHistory.insertMany(pairRecords(users, 'matched', {
+    chat: chat._id,
+    chatType: chat.chatType
+  }));
+};
+
+// `match` is a settled pending match from the match store
+const recordRejected = (match) => {
+  const records = match.users.map(userId => ({
+    user: userId,
+    partner: match.users.find(id => id !== userId),
+    event: match.rejections.includes(userId) ? 'rejected' : 'declined',
+    chatType: match.chatPreference
+  }));
+  return MatchHistory.insertMany(records);
+};
+
+// Ending an already ended chat doesn't add another entry
+const recordEnded = async (chat) => {
+  if (chat.participants.length !== 2) return [];
+  if (await MatchHistory.exists({ chat: chat._id, event: 'ended' })) return [];
+  return MatchHistory.insertMany(pairRecords(chat.participants, 'ended', {
+    chat: chat._id,
+    chatType: chat.chatType
+  }));
+};
+
+// Partners matchmaking must skip (`excluded`) or rank lower (`recent`).
+// A rejection by either user excludes the pair until the rejecting user
+// clears it from their history; cooldowns can't be cleared.
+const getMatchExclusions = async (userId, now = Date.now()) => {
+  const key = userId.toString();
+  const records = await MatchHistory.find({
+    $or: [
+      { user: userId, event: 'rejected' },
+      { partner: userId, event: 'rejected' },
+      {
+        $or: [{ user: userId }, { partner: userId }],
+        event: { $in: ['matched', 'ended'] },
+        createdAt: { $gte: new Date(now - RECENT_PARTNER_WINDOW_MS) }
+      }
+    ]
+  }).select('user partner event createdAt').lean();
+
+  const excluded = new Set();
+  const recent = new Set();
+  records.forEach(record => {
+    const other = record.user.toString() === key ? record.partner.toString() : record.user.toString();
+    if (record.event === 'rejected' || record.createdAt >= new Date(now - REMATCH_COOLDOWN_MS)) {
+      excluded.add(other);
+    } else {
+      recent.add(other);
+    }
+  });
+  return { excluded, recent };
+};
+
+module.exports = {
+  REMATCH_COOLDOWN_MS,
+  recordMatched,
+  recordRejected,
+  recordEnded,
+  getMatchExclusions
+};
@@ -0,0 +1,167 @@
+// utils/matchScoring.js
+// Ranks queued users against a searcher. Everything here is a pure function
+// of the two queue profiles, so it can be tested without a database; a
+// different strategy can be swapped in with `setScorer`.
+
+const DEFAULT_WEIGHTS = {
+  sharedInterest: 10,   // per interest in common
+  preferenceFit: 20,    // scaled by how close in age and distance the pair is
+  waitTime: 15,         // reached once the candidate has waited MAX_WAIT_BONUS_MS
+  recentPartner: 50     // subtracted if the pair were matched recently
+};
+
+const MAX_WAIT_BONUS_MS = 2 * 60 * 1000;
+// Users who have waited this long may be paired without a shared interest
+const RELAX_INTERESTS_AFTER_MS = 60 * 1000;
+// Age gap and distance at which the fit bonus reaches zero
+const AGE_GAP_SCALE = 20;
+const DISTANCE_SCALE_KM = 100;
+
+const clamp01 = (value) => Math.max(0, Math.min(1, value));
+
+const ageFromDateOfBirth = (dateOfBirth, now = Date.now()) => {
+  if (!dateOfBirth) return null;
+  const birth = new Date(dateOfBirth);
+  const today = new Date(now);
+  let age = today.getFullYear() - birth.getFullYear();
+  const beforeBirthday = today.getMonth() < birth.getMonth() ||
+    (today.getMonth() === birth.getMonth() && today.getDate() < birth.getDate());
+  return beforeBirthday ? age - 1 : age;
+};
+
+const hasCoordinates = (coordinates) =>
+  coordinates && Number.isFinite(coordinates.latitude) && Number.isFinite(coordinates.longitude);
+
+// Great-circle distance (haversine)
+const distanceKm = (a, b) => {
+  if (!hasCoordinates(a) || !hasCoordinates(b)) return null;
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRad(b.latitude - a.latitude);
+  const dLng = toRad(b.longitude - a.longitude);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.latitude)) * Math.cos(toRad(b.latitude)) * Math.sin(dLng / 2) ** 2;
+  return 2 * 6371 * Math.asin(Math.sqrt(h));
+};
+
+const sameLocation = (a, b) =>
+  Boolean(a && b) && a.trim().toLowerCase() === b.trim().toLowerCase();
+
+// Snapshot of the user fields matchmaking needs, stored on the queue entry
+const toMatchProfile = (user) => ({
+  chatPreference: user.chatPreference,
+  interests: (user.interests || []).map(i => i.toLowerCase().trim()),
+  age: ageFromDateOfBirth(user.dateOfBirth),
+  gender: user.gender,
+  location: user.location,
+  coordinates: hasCoordinates(user.coordinates) ? {
+    latitude: user.coordinates.latitude,
+    longitude: user.coordinates.longitude
+  } : undefined,
+  preferences: user.datingPreferences ? {
+    minAge: user.datingPreferences.minAge,
+    maxAge: user.datingPreferences.maxAge,
+    genders: [...(user.datingPreferences.genders || [])],
+    maxDistanceKm: user.datingPreferences.maxDistanceKm,
+    sameLocationOnly: user.datingPreferences.sameLocationOnly
+  } : undefined
+});
+
+// Whether `candidate` is someone `seeker` asked to meet. Only dating
+// preferences are hard requirements.
+const fitsPreferences = (seeker, candidate) => {
+  const prefs = seeker.preferences;
+  if (seeker.chatPreference !== 'Dating' || !prefs) return true;
+
+  if (candidate.age != null) {
+    if (prefs.minAge != null && candidate.age < prefs.minAge) return false;
+    if (prefs.maxAge != null && candidate.age > prefs.maxAge) return false;
+  }
+  if (prefs.genders?.length && !prefs.genders.includes(candidate.gender)) return false;
+  if (prefs.sameLocationOnly && !sameLocation(seeker.location, candidate.location)) return false;
+  if (prefs.maxDistanceKm) {
+    const distance = distanceKm(seeker.coordinates, candidate.coordinates);
+    // Without coordinates on both sides, fall back to the location name
+    if (distance == null ? !sameLocation(seeker.location, candidate.location) : distance > prefs.maxDistanceKm) {
+      return false;
+    }
+  }
+  return true;
+};
+
+// 0..1: how close the pair are in age and place
+const preferenceFit = (a, b) => {
+  const parts = [];
+  if (a.age != null && b.age != null) {
+    parts.push(clamp01(1 - Math.abs(a.age - b.age) / AGE_GAP_SCALE));
+  }
+  const distance = distanceKm(a.coordinates, b.coordinates);
+  if (distance != null) {
+    parts.push(clamp01(1 - distance / DISTANCE_SCALE_KM));
+  } else if (a.location && b.location) {
+    parts.push(sameLocation(a.location, b.location) ? 1 : 0);
+  }
+  return parts.length ? parts.reduce((sum, part) => sum + part, 0) / parts.length : 0;
+};
+
+const countSharedInterests = (a = [], b = []) => {
+  const set = new Set(a);
+  return b.filter(interest => set.has(interest)).length;
+};
+
+// Score for pairing `searcher` with `candidate`, or null if they can't be
+// paired at all
+const scoreCandidate = (searcher, candidate, {
+  now = Date.now(),
+  recentPartnerIds = new Set(),
+  weights = DEFAULT_WEIGHTS
+} = {}) => {
+  if (searcher.chatPreference !== candidate.chatPreference) return null;
+  if (!fitsPreferences(searcher, candidate) || !fitsPreferences(candidate, searcher)) return null;
+
+  const shared = countSharedInterests(searcher.interests, candidate.interests);
+  const longestWait = Math.max(
+    now - new Date(searcher.joinedAt || now).getTime(),
+    now - new Date(candidate.joinedAt || now).getTime()
+  );
+  if (shared === 0 && longestWait < RELAX_INTERESTS_AFTER_MS) return null;
+
+  const candidateWait = now - new Date(candidate.joinedAt || now).getTime();
+  let score = shared * weights.sharedInterest +
+    preferenceFit(searcher, candidate) * weights.preferenceFit +
+    clamp01(candidateWait / MAX_WAIT_BONUS_MS) * weights.waitTime;
+
+  if (recentPartnerIds.has(candidate.userId)) {
+    score -= weights.recentPartner;
+  }
+  return score;
+};
+
+let scorer = scoreCandidate;
+
+const setScorer = (customScorer) => {
+  if (typeof customScorer !== 'function') {
+    throw new Error('Match scorer must be a function');
+  }
+  scorer = customScorer;
+};
+
+// Eligible candidates, best first
+const rankCandidates = (searcher, candidates, options = {}) => {
+  return candidates
+    .filter(candidate => candidate.userId !== searcher.userId)
+    .map(candidate => ({ candidate, score: scorer(searcher, candidate, options) }))
+    .filter(({ score }) => score != null)
+    .sort((a, b) => b.score - a.score);
+};
+
+module.exports = {
+  DEFAULT_WEIGHTS,
+  ageFromDateOfBirth,
+  distanceKm,
+  toMatchProfile,
+  fitsPreferences,
+  preferenceFit,
+  scoreCandidate,
+  rankCandidates,
+  setScorer
+};
@@ -0,0 +1,344 @@
+// utils/matchStore.js
+const mongoose = require('mongoose');
+const MatchQueueEntry = require('../models/matchQueueModel');
+const PendingMatch = require('../models/pendingMatchModel');
+
+// Matchmaking state (who is searching, and pairs waiting to accept) lives
+// behind a store so it survives restarts and can be shared by several
+// instances. Every method is async and returns plain objects with string ids:
+//
+//   entry: { userId, chatPreference, interests, age, gender, location,
+//            coordinates, preferences, joinedAt, expiresAt }
+//   match: { chatId, users, chatPreference, acceptances, rejections, expiresAt }
+//
+// The MongoDB store is the default; MATCH_STORE=memory keeps everything in
+// process for local development.
+
+const QUEUE_TTL_MS = (parseInt(process.env.MATCH_QUEUE_TTL_SECONDS, 10) || 60) * 1000;
+const PENDING_MATCH_TTL_MS = (parseInt(process.env.MATCH_RESPONSE_SECONDS, 10) || 120) * 1000;
+
+const ids = (values = []) => values.map(value => value.toString());
+
+const createMemoryStore = () => {
+  const queue = new Map();
+  const matches = new Map();
+
+  const isLive = (record) => record && record.expiresAt > Date.now();
+  const copyEntry = (entry) => entry && structuredClone(entry);
+  const copyMatch = (match) => match && {
+    ...match,
+    users: [...match.users],
+    acceptances: [...match.acceptances],
+    rejections: [...match.rejections]
+  };
+
+  return {
+    name: 'memory',
+
+    // `profile` is the matchmaking snapshot from matchScoring.toMatchProfile
+    enqueue: async (userId, profile) => {
+      const key = userId.toString();
+      const existing = queue.get(key);
+      const entry = {
+        ...structuredClone(profile),
+        userId: key,
+        joinedAt: isLive(existing) ? existing.joinedAt : new Date(),
+        expiresAt: new Date(Date.now() + QUEUE_TTL_MS)
+      };
+      queue.set(key, entry);
+      return copyEntry(entry);
+    },
+
+    dequeue: async (userId) => queue.delete(userId.toString()),
+
+    getEntry: async (userId) => {
+      const entry = queue.get(userId.toString());
+      return isLive(entry) ? copyEntry(entry) : null;
+    },
+
+    listEntries: async ({ chatPreference } = {}) => {
+      return [...queue.values()]
+        .filter(entry => isLive(entry) && (!chatPreference || entry.chatPreference === chatPreference))
+        .sort((a, b) => a.joinedAt - b.joinedAt)
+        .map(copyEntry);
+    },
+
+    touch: async (userId) => {
+      const entry = queue.get(userId.toString());
+      if (!isLive(entry)) return false;
+      entry.expiresAt = new Date(Date.now() + QUEUE_TTL_MS);
+      return true;
+    },
+
+    purgeExpiredEntries: async () => {
+      let removed = 0;
+      for (const [key, entry] of queue.entries()) {
+        if (!isLive(entry)) {
+          queue.delete(key);
+          removed++;
+        }
+      }
+      return removed;
+    },
+
+    // Pairing takes both users out of the queue. Returns null, pairing no
+    // one, if either user is no longer waiting.
+    createPendingMatch: async (userIds, chatPreference) => {
+      const keys = ids(userIds);
+      if (!keys.every(key => isLive(queue.get(key)))) return null;
+      const match = {
+        chatId: new mongoose.Types.ObjectId().toString(),
+        users: ids(userIds),
+        chatPreference,
+        acceptances: [],
+        rejections: [],
+        expiresAt: new Date(Date.now() + PENDING_MATCH_TTL_MS)
+      };
+      match.users.forEach(userId => queue.delete(userId));
+      matches.set(match.chatId, match);
+      return copyMatch(match);
+    },
+
+    getPendingMatch: async (chatId) => {
+      const match = matches.get(chatId.toString());
+      return isLive(match) ? copyMatch(match) : null;
+    },
+
+    findPendingMatchForUser: async (userId) => {
+      const key = userId.toString();
+      const match = [...matches.values()].find(m => isLive(m) && m.users.includes(key));
+      return copyMatch(match) || null;
+    },
+
+    listPendingMatches: async () => {
+      return [...matches.values()].filter(isLive).map(copyMatch);
+    },
+
+    // Records one answer per user; returns the updated match, or null if it
+    // expired or the user isn't part of it
+    recordResponse: async (chatId, userId, isAccept) => {
+      const match = matches.get(chatId.toString());
+      const key = userId.toString();
+      if (!isLive(match) || !match.users.includes(key)) return null;
+      if (!match.acceptances.includes(key) && !match.rejections.includes(key)) {
+        (isAccept ? match.acceptances : match.rejections).push(key);
+      }
+      return copyMatch(match);
+    },
+
+    // Only the first caller gets the match back, so one instance settles it
+    removePendingMatch: async (chatId) => {
+      const key = chatId.toString();
+      const match = matches.get(key);
+      if (!match) return null;
+      matches.delete(key);
+      return copyMatch(match);
+    },
+
+    takeExpiredMatches: async () => {
+      const expired = [];
+      for (const [key, match] of matches.entries()) {
+        if (!isLive(match)) {
+          matches.delete(key);
+          expired.push(copyMatch(match));
+        }
+      }
+      return expired;
+    }
+  };
+};
+
+const createMongoStore = () => {
+  const toEntry = (doc) => doc && {
+    userId: doc.user.toString(),
+    chatPreference: doc.chatPreference,
+    interests: doc.interests || [],
+    age: doc.age,
+    gender: doc.gender,
+    location: doc.location,
+    coordinates: doc.coordinates,
+    preferences: doc.preferences,
+    joinedAt: doc.joinedAt,
+    expiresAt: doc.expiresAt
+  };
+  const toMatch = (doc) => doc && {
+    chatId: doc._id.toString(),
+    users: ids(doc.users),
+    chatPreference: doc.chatPreference,
+    acceptances: ids(doc.acceptances),
+    rejections: ids(doc.rejections),
+    expiresAt: doc.expiresAt
+  };
+  const live = () => ({ expiresAt: { $gt: new Date() } });
+
+  return {
+    name: 'mongo',
+
+    enqueue: async (userId, profile) => {
+      // A stale entry the TTL monitor hasn't removed yet must not keep its place
+      await MatchQueueEntry.deleteOne({ user: userId, expiresAt: { $lte: new Date() } });
+      const doc = await MatchQueueEntry.findOneAndUpdate(
+        { user: userId },
+        {
+          chatPreference: profile.chatPreference,
+          interests: profile.interests || [],
+          age: profile.age,
+          gender: profile.gender,
+          location: profile.location,
+          coordinates: profile.coordinates,
+          preferences: profile.preferences,
+          expiresAt: new Date(Date.now() + QUEUE_TTL_MS),
+          $setOnInsert: { joinedAt: new Date() }
+        },
+        { upsert: true, new: true }
+      ).lean();
+      return toEntry(doc);
+    },
+
+    dequeue: async (userId) => {
+      const result = await MatchQueueEntry.deleteOne({ user: userId });
+      return result.deletedCount > 0;
+    },
+
+    getEntry: async (userId) => {
+      return toEntry(await MatchQueueEntry.findOne({ user: userId, ...live() }).lean());
+    },
+
+    listEntries: async ({ chatPreference } = {}) => {
+      const filter = { ...live(), matchId: null };
+      if (chatPreference) filter.chatPreference = chatPreference;
+      const docs = await MatchQueueEntry.find(filter).sort({ joinedAt: 1 }).lean();
+      return docs.map(toEntry);
+    },
+
+    touch: async (userId) => {
+      const result = await MatchQueueEntry.updateOne(
+        { user: userId, matchId: null, ...live() },
+        { expiresAt: new Date(Date.now() + QUEUE_TTL_MS) }
+      );
+      return result.matchedCount > 0;
+    },
+
+    purgeExpiredEntries: async () => {
+      const result = await MatchQueueEntry.deleteMany({ expiresAt: { $lte: new Date() } });
+      return result.deletedCount;
+    },
+
+    // Each user's entry is claimed with a conditional update, so concurrent
+    // schedulers can never put one user in two matches. If the process dies
+    // mid-claim the entry stops being refreshed and expires.
+    createPendingMatch: async (userIds, chatPreference) => {
+      const matchId = new mongoose.Types.ObjectId();
+      const claimed = [];
+      // Put the claimed users back in the queue
+      const release = () => MatchQueueEntry.updateMany(
+        { user: { $in: claimed }, matchId },
+        { $unset: { matchId: 1 } }
+      );
+      for (const userId of userIds) {
+        const doc = await MatchQueueEntry.findOneAndUpdate(
+          { user: userId, matchId: null, ...live() },
+          { matchId },
+          { new: true }
+        );
+        if (!doc) {
+          await release();
+          return null;
+        }
+        claimed.push(userId);
+      }
+      let doc;
+      try {
+        doc = await PendingMatch.create({
+          _id: matchId,
+          users: userIds,
+          chatPreference,
+          expiresAt: new Date(Date.now() + PENDING_MATCH_TTL_MS)
+        });
+      } catch (error) {
+        await release();
+        throw error;
+      }
+      await MatchQueueEntry.deleteMany({ matchId });
+      return toMatch(doc);
+    },
+
+    getPendingMatch: async (chatId) => {
+      if (!mongoose.Types.ObjectId.isValid(chatId)) return null;
+      return toMatch(await PendingMatch.findOne({ _id: chatId, ...live() }).lean());
+    },
+
+    findPendingMatchForUser: async (userId) => {
+      return toMatch(await PendingMatch.findOne({ users: userId, ...live() }).lean());
+    },
+
+    listPendingMatches: async () => {
+      const docs = await PendingMatch.find(live()).lean();
+      return docs.map(toMatch);
+    },
+
+    recordResponse: async (chatId, userId, isAccept) => {
+      if (!mongoose.Types.ObjectId.isValid(chatId)) return null;
+      const field = isAccept ? 'acceptances' : 'rejections';
+      const doc = await PendingMatch.findOneAndUpdate(
+        {
+          _id: chatId,
+          users: userId,
+          acceptances: { $ne: userId },
+          rejections: { $ne: userId },
+          ...live()
+        },
+        { $addToSet: { [field]: userId } },
+        { new: true }
+      ).lean();
+      if (doc) return toMatch(doc);
+
+      // Already answered: hand back the match as it stands
+      return toMatch(await PendingMatch.findOne({ _id: chatId, users: userId, ...live() }).lean());
+    },
+
+    removePendingMatch: async (chatId) => {
+      if (!mongoose.Types.ObjectId.isValid(chatId)) return null;
+      return toMatch(await PendingMatch.findOneAndDelete({ _id: chatId }).lean());
+    },
+
+    takeExpiredMatches: async () => {
+      const expired = await PendingMatch.find({ expiresAt: { $lte: new Date() } }).select('_id').lean();
+      const taken = await Promise.all(expired.map(doc =>
+        PendingMatch.findOneAndDelete({ _id: doc._id, expiresAt: { $lte: new Date() } }).lean()
+      ));
+      return taken.filter(Boolean).map(toMatch);
+    }
+  };
+};
+
+const defaultStore = () => {
+  switch (process.env.MATCH_STORE) {
+    case 'memory':
+      return createMemoryStore();
+    default:
+      return createMongoStore();
+  }
+};
+
+let store = null;
+
+const getMatchStore = () => {
+  if (!store) {
+    store = defaultStore();
+  }
+  return store;
+};
+
+const setMatchStore = (customStore) => {
+  store = customStore;
+};
+
+module.exports = {
+  QUEUE_TTL_MS,
+  PENDING_MATCH_TTL_MS,
+  getMatchStore,
+  setMatchStore,
+  createMemoryStore,
+  createMongoStore
+};
@@ -0,0 +1,323 @@
+// utils/matchmaker.js
+const { getMatchStore } = require('./matchStore');
+const { rankCandidates, toMatchProfile } = require('./matchScoring');
+const { getMatchExclusions } = require('./matchHistory');
+const { getBlockedUserIds } = require('./blockList');
+
+// One scheduler per instance pairs the whole queue: straight away when
+// someone joins, and on a fixed cadence so waiting users benefit from relaxed
+// criteria and from users queued on other instances. Pairs are claimed
+// atomically in the store, so schedulers on several instances can't hand out
+// the same user twice.
+
+const RUN_INTERVAL_MS = parseInt(process.env.MATCHMAKING_INTERVAL_MS, 10) || 3000;
+// Searches give up after this long
+const MAX_SEARCH_MS = (parseInt(process.env.MATCH_MAX_SEARCH_SECONDS, 10) || 300) * 1000;
+// How often local searchers get a `search-status` update
+const STATUS_INTERVAL_MS = parseInt(process.env.MATCH_STATUS_INTERVAL_MS, 10) || 10000;
+// Candidates tried per searcher when better ones were taken mid-run
+const MAX_CLAIM_ATTEMPTS = 3;
+const TIME_TO_MATCH_SAMPLES = 200;
+
+// Searchers connected to this instance; the scheduler keeps their queue
+// entries alive
+const localSearchers = new Set();
+
+class MatchmakingError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'MatchmakingError';
+    this.status = status;
+  }
+}
+
+const noop = async () => {};
+let hooks = { onPaired: noop, onExpired: noop, onTimeout: noop, onStatus: noop };
+let timer = null;
+let lastStatusAt = 0;
+let running = false;
+let rerunRequested = false;
+
+const metrics = {
+  startedAt: null,
+  runs: 0,
+  matchesCreated: 0,
+  matchesExpired: 0,
+  timeToMatchMs: [],
+  lastRun: null
+};
+
+const recordTimeToMatch = (entries, now) => {
+  entries.forEach(entry => {
+    metrics.timeToMatchMs.push(now - new Date(entry.joinedAt).getTime());
+  });
+  if (metrics.timeToMatchMs.length > TIME_TO_MATCH_SAMPLES) {
+    metrics.timeToMatchMs.splice(0, metrics.timeToMatchMs.length - TIME_TO_MATCH_SAMPLES);
+  }
+};
+
+// A failed notification shouldn't stop the run
+const notify = async (hook, ...args) => {
+  try {
+    await hook(...args);
+  } catch (error) {
+    console.error('[MATCHMAKING NOTIFY ERROR]', error);
+  }
+};
+
+// Refresh local searchers' entries; forget users who were paired elsewhere,
+// cancelled or expired
+const keepAliveLocalSearchers = async (store) => {
+  await Promise.all([...localSearchers].map(async (userId) => {
+    if (!(await store.touch(userId))) {
+      localSearchers.delete(userId);
+    }
+  }));
+};
+
+const settleExpiredMatches = async (store) => {
+  const expired = await store.takeExpiredMatches();
+  for (const match of expired) {
+    metrics.matchesExpired++;
+    await notify(hooks.onExpired, match);
+  }
+  await store.purgeExpiredEntries();
+};
+
+// End searches that ran past the limit. Only the instance whose dequeue
+// succeeds reports the timeout.
+const timeOutLongSearches = async (store) => {
+  const cutoff = Date.now() - MAX_SEARCH_MS;
+  const entries = await store.listEntries();
+  for (const entry of entries) {
+    if (new Date(entry.joinedAt).getTime() > cutoff) break;
+    localSearchers.delete(entry.userId);
+    if (await store.dequeue(entry.userId)) {
+      await notify(hooks.onTimeout, entry);
+    }
+  }
+};
+
+const averageTimeToMatch = () => {
+  const samples = metrics.timeToMatchMs;
+  return samples.length ? samples.reduce((sum, ms) => sum + ms, 0) / samples.length : null;
+};
+
+// Queue position among users with the same chat preference (1 = next) and a
+// rough wait estimate from recent time-to-match
+const describeSearch = (entry, entries, now = Date.now()) => {
+  const sameQueue = entries.filter(other => other.chatPreference === entry.chatPreference);
+  const waitedMs = now - new Date(entry.joinedAt).getTime();
+  const average = averageTimeToMatch();
+  return {
+    position: sameQueue.findIndex(other => other.userId === entry.userId) + 1,
+    queueLength: sameQueue.length,
+    waitedMs,
+    estimatedWaitMs: average == null ? null : Math.max(Math.round(average - waitedMs), 0),
+    timeoutAt: new Date(new Date(entry.joinedAt).getTime() + MAX_SEARCH_MS)
+  };
+};
+
+const reportSearchStatus = async (store) => {
+  if (localSearchers.size === 0 || Date.now() - lastStatusAt < STATUS_INTERVAL_MS) return;
+  lastStatusAt = Date.now();
+  const entries = await store.listEntries();
+  for (const entry of entries) {
+    if (localSearchers.has(entry.userId)) {
+      await notify(hooks.onStatus, entry.userId, describeSearch(entry, entries));
+    }
+  }
+};
+
+// Longest-waiting users pick first; everyone paired in this run leaves the pool
+const pairQueue = async (store) => {
+  const entries = await store.listEntries();
+  const available = new Map(entries.map(entry => [entry.userId, entry]));
+  let paired = 0;
+
+  for (const searcher of entries) {
+    if (!available.has(searcher.userId)) continue;
+
+    const pool = [...available.values()].filter(candidate =>
+      candidate.userId !== searcher.userId &&
+      candidate.chatPreference === searcher.chatPreference
+    );
+    if (pool.length === 0) continue;
+
+    const [blockedIds, history] = await Promise.all([
+      getBlockedUserIds(searcher.userId),
+      getMatchExclusions(searcher.userId)
+    ]);
+    // Blocked users, rejected pairs and partners still in their cooldown
+    const excluded = new Set([...blockedIds, ...history.excluded]);
+    const ranked = rankCandidates(
+      searcher,
+      pool.filter(candidate => !excluded.has(candidate.userId)),
+      { recentPartnerIds: history.recent }
+    );
+
+    for (const { candidate, score } of ranked.slice(0, MAX_CLAIM_ATTEMPTS)) {
+      const match = await store.createPendingMatch(
+        [searcher.userId, candidate.userId],
+        searcher.chatPreference
+      );
+      if (!match) {
+        // One of the two was paired by another instance
+        available.delete(candidate.userId);
+        if (!(await store.getEntry(searcher.userId))) {
+          available.delete(searcher.userId);
+          break;
+        }
+        continue;
+      }
+      console.log(`[MATCH SELECTED] ${searcher.userId} + ${candidate.userId} (score ${score.toFixed(1)})`);
+      available.delete(searcher.userId);
+      available.delete(candidate.userId);
+      match.users.forEach(userId => localSearchers.delete(userId));
+      recordTimeToMatch([searcher, candidate], Date.now());
+      metrics.matchesCreated++;
+      paired++;
+      await notify(hooks.onPaired, match);
+      break;
+    }
+  }
+  return paired;
+};
+
+const runMatchmaking = async () => {
+  if (running) {
+    rerunRequested = true;
+    return;
+  }
+  running = true;
+  const startedAt = Date.now();
+  const store = getMatchStore();
+  try {
+    await keepAliveLocalSearchers(store);
+    await settleExpiredMatches(store);
+    await timeOutLongSearches(store);
+    const paired = await pairQueue(store);
+    await reportSearchStatus(store);
+    metrics.runs++;
+    metrics.lastRun = { at: new Date(startedAt), durationMs: Date.now() - startedAt, paired };
+  } catch (error) {
+    console.error('[MATCHMAKING ERROR]', error);
+  } finally {
+    running = false;
+    if (rerunRequested) {
+      rerunRequested = false;
+      setImmediate(runMatchmaking);
+    }
+  }
+};
+
+// Ask for a run soon; calls made while one is in progress coalesce into one
+const requestRun = () => {
+  if (running) {
+    rerunRequested = true;
+    return;
+  }
+  setImmediate(runMatchmaking);
+};
+
+// `onPaired(match)` and `onExpired(match)` notify users of pending matches,
+// `onTimeout(entry)` of a search that gave up and `onStatus(userId, status)`
+// of their place in the queue. The first run settles anything that expired
+// while the server was down.
+const startMatchmaker = ({ onPaired, onExpired, onTimeout, onStatus } = {}) => {
+  hooks = {
+    onPaired: onPaired || hooks.onPaired,
+    onExpired: onExpired || hooks.onExpired,
+    onTimeout: onTimeout || hooks.onTimeout,
+    onStatus: onStatus || hooks.onStatus
+  };
+  if (timer) return;
+  metrics.startedAt = new Date();
+  timer = setInterval(runMatchmaking, RUN_INTERVAL_MS);
+  requestRun();
+};
+
+// Call after the user's queue entry was written
+const addSearcher = (userId) => {
+  localSearchers.add(userId.toString());
+  requestRun();
+};
+
+// Queue a user (or refresh their profile if already queued) and return their
+// search status. Shared by the socket event and the REST route.
+const startSearch = async (user) => {
+  const store = getMatchStore();
+  if (await store.findPendingMatchForUser(user._id)) {
+    throw new MatchmakingError('A match is waiting for your answer', 409);
+  }
+  await store.enqueue(user._id, toMatchProfile(user));
+  addSearcher(user._id);
+  return getSearchStatus(user._id);
+};
+
+// Cancel a search; true if the user was still queued
+const removeSearcher = async (userId) => {
+  localSearchers.delete(userId.toString());
+  return getMatchStore().dequeue(userId);
+};
+
+// Current position and estimate for one user, or null if not searching
+const getSearchStatus = async (userId) => {
+  const store = getMatchStore();
+  const entries = await store.listEntries();
+  const entry = entries.find(other => other.userId === userId.toString());
+  return entry ? describeSearch(entry, entries) : null;
+};
+
+const percentile = (sorted, p) =>
+  sorted.length ? sorted[Math.min(sorted.length - 1, Math.floor((p / 100) * sorted.length))] : null;
+
+// Queue figures come from the shared store; counters and timings are this
+// instance's since it started
+const getMatchmakingMetrics = async () => {
+  const store = getMatchStore();
+  const [entries, pending] = await Promise.all([
+    store.listEntries(),
+    store.listPendingMatches()
+  ]);
+  const now = Date.now();
+  const byPreference = {};
+  entries.forEach(entry => {
+    byPreference[entry.chatPreference] = (byPreference[entry.chatPreference] || 0) + 1;
+  });
+  const samples = [...metrics.timeToMatchMs].sort((a, b) => a - b);
+  const average = averageTimeToMatch();
+
+  return {
+    store: store.name,
+    queueLength: entries.length,
+    queueByPreference: byPreference,
+    longestWaitMs: entries.length ? now - new Date(entries[0].joinedAt).getTime() : 0,
+    pendingMatches: pending.length,
+    localSearchers: localSearchers.size,
+    matchesCreated: metrics.matchesCreated,
+    matchesExpired: metrics.matchesExpired,
+    timeToMatch: {
+      samples: samples.length,
+      averageMs: average == null ? null : Math.round(average),
+      p50Ms: percentile(samples, 50),
+      p95Ms: percentile(samples, 95)
+    },
+    runs: metrics.runs,
+    runIntervalMs: RUN_INTERVAL_MS,
+    maxSearchMs: MAX_SEARCH_MS,
+    lastRun: metrics.lastRun,
+    startedAt: metrics.startedAt
+  };
+};
+
+module.exports = {
+  MatchmakingError,
+  startMatchmaker,
+  startSearch,
+  requestRun,
+  addSearcher,
+  removeSearcher,
+  getSearchStatus,
+  getMatchmakingMetrics
+};
@@ -0,0 +1,128 @@
+// utils/messageReceipts.js
+const mongoose = require('mongoose');
+const Chat = require('../models/chatModel');
+const Message = require('../models/messageModel');
+const User = require('../models/userModel');
+
+// How far back the first reconnect after this feature shipped looks
+const FIRST_DELIVERY_LOOKBACK_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Delivery state of user messages. Each recipient is recorded in
+// `deliveryReceipts` once one of their devices has the message and in
+// `readReceipts` once their read cursor passes it; `status` sums that up
+// across all recipients. Senders hear about changes through `message-status`
+// in their personal room.
+
+const RECEIPT_FIELDS = { delivered: 'deliveryReceipts', read: 'readReceipts' };
+
+// Recompute `status` for messages in one chat. Everyone but the sender is a
+// recipient, so a group message is read once every current member read it.
+const refreshStatus = async (chatId, messageIds) => {
+  const chat = await Chat.findById(chatId).select('participants').lean();
+  const recipients = Math.max((chat ? chat.participants.length : 2) - 1, 1);
+  await Message.updateMany({ _id: { $in: messageIds } }, [{
+    $set: {
+      status: {
+        $cond: [
+          { $gte: [{ $size: { $ifNull: ['$readReceipts', []] } }, recipients] },
+          'read',
+          { $cond: [{ $gte: [{ $size: { $ifNull: ['$deliveryReceipts', []] } }, recipients] }, 'delivered', 'sent'] }
+        ]
+      }
+    }
+  }]);
+};
+
+const notifySenders = (io, messages, { userId, state, at }) => {
+  if (!io) return;
+  const bySenderAndChat = new Map();
+  messages.forEach(message => {
+    const key = `${message.sender}:${message.chat}`;
+    if (!bySenderAndChat.has(key)) bySenderAndChat.set(key, []);
+    bySenderAndChat.get(key).push({ _id: message._id, clientId: message.clientId, status: message.status });
+  });
+  bySenderAndChat.forEach((statuses, key) => {
+    const [senderId, chatId] = key.split(':');
+    io.to(senderId).emit('message-status', { chatId, userId, state, at, messages: statuses });
+  });
+};
+
+// Record `state` ('delivered' or 'read') for `userId` on the messages matching
+// `filter` that they received and haven't already acknowledged. Reading
+// implies delivery. Returns the updated messages.
+const recordReceipt = async (io, userId, state, filter) => {
+  const field = RECEIPT_FIELDS[state];
+  const at = new Date();
+  const pending = await Message.find({
+    ...filter,
+    type: 'user',
+    sender: { $ne: userId },
+    [`${field}.user`]: { $ne: userId }
+  }).select('_id chat').lean();
+  if (pending.length === 0) return [];
+
+  const ids = pending.map(message => message._id);
+  const fields = state === 'read' ? ['deliveryReceipts', 'readReceipts'] : ['deliveryReceipts'];
+  for (const name of fields) {
+    await Message.updateMany(
+      { _id: { $in: ids }, [`${name}.user`]: { $ne: userId } },
+      { $push: { [name]: { user: userId, at } } }
+    );
+  }
+
+  const chatIds = [...new Set(pending.map(message => message.chat.toString()))];
+  for (const chatId of chatIds) {
+    await refreshStatus(chatId, pending.filter(message => message.chat.toString() === chatId).map(m => m._id));
+  }
+
+  const updated = await Message.find({ _id: { $in: ids } })
+    .select('_id chat sender clientId status')
+    .lean();
+  notifySenders(io, updated, { userId, state, at });
+  return updated;
+};
+
+// Ids of the chats the user is in; receipts can only land there
+const memberChatIds = async (userId) => {
+  const chats = await Chat.find({ participants: userId }).select('_id').lean();
+  return chats.map(chat => chat._id);
+};
+
+// A recipient's device acknowledged these messages
+const markDelivered = async (io, userId, messageIds) => {
+  const ids = (Array.isArray(messageIds) ? messageIds : [messageIds])
+    .filter(id => mongoose.Types.ObjectId.isValid(id));
+  if (ids.length === 0) return [];
+  return recordReceipt(io, userId, 'delivered', {
+    _id: { $in: ids },
+    chat: { $in: await memberChatIds(userId) }
+  });
+};
+
+// Everything up to the user's read cursor has been read
+const markReadUpTo = (io, userId, chatId, cursor) => {
+  if (!cursor || !cursor.lastReadAt) return [];
+  return recordReceipt(io, userId, 'read', { chat: chatId, createdAt: { $lte: cursor.lastReadAt } });
+};
+
+// A user came back online: whatever reached their chats meanwhile is now
+// delivered to them. Everything sent before their previous reconnect was
+// handled then, so only newer messages are looked at.
+const deliverPending = async (io, userId) => {
+  const startedAt = new Date();
+  const user = await User.findById(userId).select('deliveredUpTo').lean();
+  if (!user) return [];
+  const since = user.deliveredUpTo || new Date(startedAt - FIRST_DELIVERY_LOOKBACK_MS);
+
+  const chats = await Chat.find({ participants: userId, isActive: true }).select('_id').lean();
+  const delivered = chats.length === 0 ? [] : await recordReceipt(io, userId, 'delivered', {
+    chat: { $in: chats.map(chat => chat._id) },
+    createdAt: { $gt: since, $lte: startedAt }
+  });
+
+  // Never moves back if two devices reconnect at once
+  await User.updateOne({ _id: userId }, { $max: { deliveredUpTo: startedAt } });
+  return delivered;
+};
+
+module.exports = { markDelivered, markReadUpTo, deliverPending };
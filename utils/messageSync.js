@@ -0,0 +1,133 @@
+// utils/messageSync.js
+const mongoose = require('mongoose');
+const Chat = require('../models/chatModel');
+const Message = require('../models/messageModel');
+const { isMaskedChat, maskUser, presentMessage } = require('./chatPrivacy');
+
+// Catch-up for clients coming back online. Every change to a message bumps
+// its `updatedAt`, so the changes in a chat since a point in time are the
+// messages updated after it, oldest first. Clients keep the `cursor` from
+// each response and pass it back next time.
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+// Chats per request
+const MAX_CHATS = 100;
+
+class SyncError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'SyncError';
+    this.status = status;
+  }
+}
+
+// A cursor is a timestamp (ISO string or milliseconds) or the id of the last
+// message the client has; null or missing means from the start
+const resolveSince = async (chatId, since) => {
+  if (since === undefined || since === null || since === '') return null;
+  if (typeof since === 'string' && mongoose.Types.ObjectId.isValid(since) && !/^\d+$/.test(since)) {
+    const message = await Message.findOne({ _id: since, chat: chatId }).select('createdAt').lean();
+    if (!message) {
+      throw new SyncError(`Unknown message cursor for chat ${chatId}`);
+    }
+    return message.createdAt;
+  }
+  const date = new Date(typeof since === 'string' && /^\d+$/.test(since) ? Number(since) : since);
+  if (Number.isNaN(date.getTime())) {
+    throw new SyncError(`Invalid cursor for chat ${chatId}`);
+  }
+  return date;
+};
+
+const after = (date, since) => Boolean(date) && (!since || date > since);
+
+// What happened to the message since the cursor. A message can have changed
+// in several ways; the client gets its current state either way.
+const classify = (message, since) => {
+  if (message.deletedAt || message.hidden) return 'deleted';
+  if (after(message.createdAt, since)) return 'created';
+  if (after(message.editedAt, since)) return 'edited';
+  if (after(message.reactionsUpdatedAt, since)) return 'reactions';
+  return 'status';
+};
+
+// Deleted and hidden messages go out as tombstones
+const toChange = (message, since, chat) => {
+  const change = classify(message, since);
+  if (change === 'deleted') {
+    return {
+      change,
+      message: {
+        _id: message._id,
+        chat: message.chat,
+        clientId: message.clientId,
+        deletedAt: message.deletedAt || message.updatedAt,
+        updatedAt: message.updatedAt
+      }
+    };
+  }
+  const presented = presentMessage(message, chat);
+  if (isMaskedChat(chat)) {
+    presented.reactions = (presented.reactions || []).map(reaction => ({ ...reaction, user: maskUser(reaction.user) }));
+  }
+  return { change, message: presented };
+};
+
+const findChanges = (filter) => Message.find(filter)
+  .populate('sender', 'firstName lastName username avatar')
+  .populate('reactions.user', 'firstName username')
+  .sort({ updatedAt: 1, _id: 1 });
+
+const syncChat = async (chat, since, limit) => {
+  const filter = { chat: chat._id };
+  if (since) filter.updatedAt = { $gt: since };
+
+  const messages = await findChanges(filter).limit(limit + 1);
+  const hasMore = messages.length > limit;
+  const page = messages.slice(0, limit);
+
+  // Don't split messages sharing the last timestamp across pages, or the
+  // next cursor would skip the rest of them
+  if (hasMore) {
+    const last = page[page.length - 1];
+    const ties = await findChanges({ chat: chat._id, updatedAt: last.updatedAt, _id: { $gt: last._id } });
+    page.push(...ties);
+  }
+
+  const cursor = page.length ? page[page.length - 1].updatedAt : since;
+  return {
+    chatId: chat._id,
+    isActive: chat.isActive,
+    changes: page.map(message => toChange(message, since, chat)),
+    cursor: cursor || null,
+    hasMore
+  };
+};
+
+// `cursors` maps chat ids to cursors. Chats the user isn't in are left out
+// of the result rather than failing the whole sync.
+const syncMessages = async (userId, cursors, { limit } = {}) => {
+  if (!cursors || typeof cursors !== 'object' || Array.isArray(cursors)) {
+    throw new SyncError('chats must map chat IDs to cursors');
+  }
+  const chatIds = Object.keys(cursors).filter(id => mongoose.Types.ObjectId.isValid(id));
+  if (chatIds.length === 0) {
+    throw new SyncError('Provide at least one valid chat ID');
+  }
+  if (chatIds.length > MAX_CHATS) {
+    throw new SyncError(`Sync at most ${MAX_CHATS} chats at a time`);
+  }
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+  const chats = await Chat.find({ _id: { $in: chatIds }, participants: userId })
+    .select('_id isActive origin promotedAt');
+  const results = [];
+  for (const chat of chats) {
+    const since = await resolveSince(chat._id, cursors[chat._id.toString()]);
+    results.push(await syncChat(chat, since, pageSize));
+  }
+  return { syncedAt: new Date(), chats: results };
+};
+
+module.exports = { SyncError, syncMessages };
@@ -0,0 +1,108 @@
+// utils/moderation.js
+const mongoose = require('mongoose');
+const User = require('../models/userModel');
+const Post = require('../models/postModel');
+const Message = require('../models/messageModel');
+const Chat = require('../models/chatModel');
+const { suspendUser } = require('./suspensions');
+
+const STRIKE_THRESHOLD = parseInt(process.env.STRIKE_SUSPEND_THRESHOLD, 10) || 3;
+const AUTO_SUSPEND_DAYS = parseInt(process.env.STRIKE_SUSPEND_DAYS, 10) || 7;
+
+class ModerationError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ModerationError';
+    this.status = status;
+  }
+}
+
+// Moderators manage regular users; only admins can touch staff accounts
+const canManage = (actor, target) => target.role === 'user' || actor.role === 'admin';
+
+// Find the user responsible for a reported entity. Messages can only be
+// reported by members of their chat.
+const resolveReportedUser = async (targetType, targetId, postId, reporterId) => {
+  if (!mongoose.Types.ObjectId.isValid(targetId)) {
+    throw new ModerationError('Invalid target ID format');
+  }
+
+  switch (targetType) {
+    case 'User': {
+      const user = await User.exists({ _id: targetId });
+      if (!user) throw new ModerationError('User not found', 404);
+      return { reportedUser: user._id };
+    }
+    case 'Post': {
+      const post = await Post.findById(targetId).select('user');
+      if (!post) throw new ModerationError('Post not found', 404);
+      return { reportedUser: post.user };
+    }
+    case 'Comment': {
+      if (!mongoose.Types.ObjectId.isValid(postId)) {
+        throw new ModerationError('Reporting a comment requires its post ID');
+      }
+      const post = await Post.findOne({ _id: postId, 'comments._id': targetId })
+        .select('comments.$');
+      if (!post) throw new ModerationError('Comment not found', 404);
+      return { reportedUser: post.comments[0].user, post: post._id };
+    }
+    case 'Message': {
+      const message = await Message.findById(targetId).select('sender chat');
+      const isMember = message &&
+        await Chat.exists({ _id: message.chat, participants: reporterId });
+      if (!isMember) throw new ModerationError('Message not found', 404);
+      return { reportedUser: message.sender };
+    }
+    default:
+      throw new ModerationError('Unsupported report target');
+  }
+};
+
+// Hide the reported post, comment or message from everyone
+const hideReportedContent = async (report) => {
+  switch (report.targetType) {
+    case 'Post':
+      await Post.updateOne({ _id: report.targetId }, { hidden: true });
+      break;
+    case 'Comment':
+      await Post.updateOne(
+        { _id: report.post, 'comments._id': report.targetId },
+        { $set: { 'comments.$.hidden': true } }
+      );
+      break;
+    case 'Message':
+      await Message.updateOne({ _id: report.targetId }, { hidden: true });
+      break;
+    default:
+      throw new ModerationError('Only posts, comments and messages can be hidden');
+  }
+};
+
+// Record a strike; suspends automatically every STRIKE_THRESHOLD strikes.
+// Returns the automatic suspension if one was issued.
+const addStrike = async (io, userId, strike) => {
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { $push: { strikes: strike } },
+    { new: true }
+  ).select('strikes');
+
+  if (strike.action !== 'suspend' && user && user.strikes.length % STRIKE_THRESHOLD === 0) {
+    return suspendUser(io, {
+      userId,
+      days: AUTO_SUSPEND_DAYS,
+      reason: `Automatic suspension after ${user.strikes.length} strikes`,
+      report: strike.report
+    });
+  }
+  return null;
+};
+
+module.exports = {
+  ModerationError,
+  canManage,
+  resolveReportedUser,
+  hideReportedContent,
+  addStrike
+};
@@ -0,0 +1,86 @@
+// utils/readCursors.js
+const mongoose = require('mongoose');
+const Chat = require('../models/chatModel');
+const Message = require('../models/messageModel');
+
+// Every participant has a read cursor on the chat: the last message they've
+// read and when it was sent. Anything newer from someone else is unread, so
+// counts are exact per user and reading never writes to the messages.
+
+const cursorOf = (chat, userId) => {
+  const id = userId.toString();
+  return (chat.readCursors || []).find(cursor => cursor.user.toString() === id) || null;
+};
+
+// Move the user's cursor up to `message` (default: the chat's latest). It
+// never moves backwards. Returns the user's cursor, or null if they aren't in
+// the chat.
+const advanceReadCursor = async (chatId, userId, message) => {
+  if (!mongoose.Types.ObjectId.isValid(chatId)) return null;
+  const chat = await Chat.findOne({ _id: chatId, participants: userId }).select('readCursors');
+  if (!chat) return null;
+
+  const target = message || await Message.findOne({ chat: chatId })
+    .sort({ createdAt: -1 })
+    .select('_id createdAt');
+  // Nothing to read yet; a member without a cursor has read nothing
+  if (!target) {
+    return cursorOf(chat, userId) || { user: userId, lastReadMessage: null, lastReadAt: null };
+  }
+
+  const moved = await Chat.updateOne(
+    {
+      _id: chatId,
+      readCursors: { $elemMatch: { user: userId, lastReadAt: { $lt: target.createdAt } } }
+    },
+    {
+      $set: {
+        'readCursors.$.lastReadMessage': target._id,
+        'readCursors.$.lastReadAt': target.createdAt
+      }
+    }
+  );
+  if (moved.matchedCount === 0) {
+    await Chat.updateOne(
+      { _id: chatId, participants: userId, 'readCursors.user': { $ne: userId } },
+      { $push: { readCursors: { user: userId, lastReadMessage: target._id, lastReadAt: target.createdAt } } }
+    );
+  }
+
+  return cursorOf(await Chat.findById(chatId).select('readCursors'), userId);
+};
+
+// Unread messages per chat for one user, as a Map of chat id to count. `chats`
+// must include their readCursors.
+//
+// Chats from before read cursors have none until the user next reads them.
+// Until then the read flags that used to track this still apply: messages
+// marked `read` (REST read-all) or carrying the user in `readBy` (socket
+// markAsRead) don't count.
+const getUnreadCounts = async (userId, chats) => {
+  if (chats.length === 0) return new Map();
+  const reader = new mongoose.Types.ObjectId(userId.toString());
+  const unreadIn = chats.map(chat => {
+    const cursor = cursorOf(chat, userId);
+    return cursor && cursor.lastReadAt
+      ? { chat: chat._id, createdAt: { $gt: cursor.lastReadAt } }
+      : { chat: chat._id, read: { $ne: true }, readBy: { $ne: reader } };
+  });
+
+  const rows = await Message.aggregate([
+    { $match: { $or: unreadIn, sender: { $ne: reader }, hidden: { $ne: true }, deletedAt: null } },
+    { $group: { _id: '$chat', count: { $sum: 1 } } }
+  ]);
+  return new Map(rows.map(row => [row._id.toString(), row.count]));
+};
+
+// Badge figure: unread messages across the user's active chats
+const getUnreadSummary = async (userId) => {
+  const chats = await Chat.find({ participants: userId, isActive: true }).select('readCursors');
+  const counts = await getUnreadCounts(userId, chats);
+  let total = 0;
+  counts.forEach(count => { total += count; });
+  return { total, chats: Object.fromEntries(counts) };
+};
+
+module.exports = { cursorOf, advanceReadCursor, getUnreadCounts, getUnreadSummary };
@@ -0,0 +1,87 @@
+// utils/s3.js
+const AWS = require('aws-sdk');
+const fs = require('fs');
+const { v4: uuidv4 } = require('uuid');
+
+// Configure AWS S3
+const s3 = new AWS.S3({
+  accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+  secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+  region: process.env.AWS_REGION
+});
+
+const uploadToS3 = async (file) => {
+  const fileStream = fs.createReadStream(file.path);
+  
+  // Determine content type
+  let contentType = file.mimetype;
+  let folder = 'images';
+  
+  if (file.mimetype.startsWith('video/')) {
+    folder = 'videos';
+  }
+  
+  const uploadParams = {
+    Bucket: process.env.AWS_S3_BUCKET_NAME,
+    Key: `${folder}/${uuidv4()}-${file.originalname}`,
+    Body: fileStream,
+    ContentType: contentType
+  };
+
+  console.log('Upload Params:', uploadParams);
+  
+  try {
+    const result = await s3.upload(uploadParams).promise();
+    // Delete local file after upload
+    fs.unlinkSync(file.path);
+    return result.Location;
+  } catch (error) {
+    // Delete local file if upload fails
+    if (fs.existsSync(file.path)) {
+      fs.unlinkSync(file.path);
+    }
+    throw error;
+  }
+};
+
+// Upload in-memory content (e.g. a resized image) under the given key
+const uploadBufferToS3 = async (buffer, key, contentType) => {
+  const result = await s3.upload({
+    Bucket: process.env.AWS_S3_BUCKET_NAME,
+    Key: key,
+    Body: buffer,
+    ContentType: contentType
+  }).promise();
+  return result.Location;
+};
+
+// Whether a URL points at an object in our bucket (and not e.g. a default image)
+const isBucketUrl = (fileUrl) => {
+  if (!fileUrl) return false;
+  if (process.env.AWS_S3_BUCKET_URL && fileUrl.startsWith(process.env.AWS_S3_BUCKET_URL)) {
+    return true;
+  }
+  return Boolean(process.env.AWS_S3_BUCKET_NAME) &&
+    fileUrl.includes(`${process.env.AWS_S3_BUCKET_NAME}.s3`);
+};
+
+// Delete an object by its public URL
+const deleteFromS3 = async (fileUrl) => {
+  // Extract the key from the S3 URL
+  const key = fileUrl.split('/').slice(3).join('/');
+
+  const deleteParams = {
+    Bucket: process.env.AWS_S3_BUCKET_NAME,
+    Key: key
+  };
+
+  await s3.deleteObject(deleteParams).promise();
+};
+
+module.exports = {
+  s3,
+  uploadToS3,
+  uploadBufferToS3,
+  isBucketUrl,
+  deleteFromS3
+};
@@ -0,0 +1,38 @@
+// utils/smsSender.js
+
+// A sender is any object with an async `send({ to, body })`. The console
+// stand-in is used until a real provider is registered with `setSender`,
+// except in production, where printing codes to the logs would leak them.
+
+const consoleSender = {
+  name: 'console',
+  send: async (sms) => {
+    console.log(`[SMS] To: ${sms.to} | ${sms.body}`);
+    return { delivered: true };
+  }
+};
+
+let sender = null;
+
+const setSender = (customSender) => {
+  if (!customSender || typeof customSender.send !== 'function') {
+    throw new Error('SMS sender must implement send(sms)');
+  }
+  sender = customSender;
+};
+
+const sendSms = async ({ to, body }) => {
+  if (!sender) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('No SMS sender configured. Register one with setSender.');
+    }
+    sender = consoleSender;
+  }
+  return sender.send({ to, body });
+};
+
+module.exports = {
+  sendSms,
+  setSender,
+  consoleSender
+};
@@ -0,0 +1,52 @@
+// utils/socketAuth.js
+const jwt = require('jsonwebtoken');
+const User = require('../models/userModel');
+const Session = require('../models/sessionModel');
+const { getActiveSuspension } = require('./suspensions');
+
+// Socket.io middleware: the handshake must carry a valid access token
+// (`auth.token`), checked the same way as `protect` does for REST. The
+// verified user is kept on `socket.user`; handlers must take the caller's
+// identity from there, never from event payloads.
+const authenticateSocket = async (socket, next) => {
+  try {
+    const token = socket.handshake.auth && socket.handshake.auth.token;
+    if (!token) {
+      return next(new Error('Authentication error'));
+    }
+
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    // Purpose-bound tokens (e.g. a pending 2FA login) never grant access
+    if (decoded.purpose) {
+      return next(new Error('Authentication error'));
+    }
+
+    const user = await User.findById(decoded.id).select('+active +passwordChangedAt');
+    if (!user || !user.active) {
+      return next(new Error('User not found'));
+    }
+
+    if (user.passwordChangedAt && decoded.iat < Math.floor(user.passwordChangedAt.getTime() / 1000)) {
+      return next(new Error('Authentication error'));
+    }
+
+    if (decoded.sid) {
+      const session = await Session.findById(decoded.sid);
+      if (!session || !session.isUsable()) {
+        return next(new Error('Session has been signed out'));
+      }
+      socket.data.sessionId = decoded.sid;
+    }
+
+    if (await getActiveSuspension(user._id)) {
+      return next(new Error('Account suspended'));
+    }
+
+    socket.user = user;
+    next();
+  } catch (error) {
+    next(new Error('Authentication error'));
+  }
+};
+
+module.exports = { authenticateSocket };
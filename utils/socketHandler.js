@@ -1,31 +1,17 @@
-const jwt = require('jsonwebtoken');
 const User = require('../models/userModel');
 const Chat = require('../models/chatModel');
 const Message = require('../models/messageModel');
+const { isBlockedBetween } = require('./blockList');
+const { authenticateSocket } = require('./socketAuth');
+const { presentMessage } = require('./chatPrivacy');
+const { advanceReadCursor } = require('./readCursors');
+const { markDelivered, markReadUpTo, deliverPending } = require('./messageReceipts');
+const { syncMessages } = require('./messageSync');
 
 module.exports = (io) => {
-  // Authentication middleware for socket.io
-  io.use(async (socket, next) => {
-    try {
-      const token = socket.handshake.auth.token;
-      
-      if (!token) {
-        return next(new Error('Authentication error'));
-      }
-      
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const user = await User.findById(decoded.id);
-      
-      if (!user) {
-        return next(new Error('User not found'));
-      }
-      
-      socket.user = user;
-      next();
-    } catch (error) {
-      next(new Error('Authentication error'));
-    }
-  });
+  // Authentication middleware for socket.io: verifies the access token and
+  // its device session
+  io.use(authenticateSocket);
 
   io.on('connection', async (socket) => {
     const user = socket.user;
@@ -48,10 +34,15 @@ module.exports = (io) => {
       socket.join(chat._id.toString());
     });
     
-    // Handle sending messages
-    socket.on('sendMessage', async (data) => {
+    // Messages that arrived while the user was offline have now reached them
+    await deliverPending(io, user._id);
+    
+    // Handle sending messages. `clientId` makes retries safe; the sender is
+    // acked with the stored message.
+    socket.on('sendMessage', async (data, ack) => {
+      const reply = typeof ack === 'function' ? ack : (payload) => socket.emit('messageAck', payload);
       try {
-        const { chatId, content } = data;
+        const { chatId, content, clientId } = data;
         
         // Find chat and verify user is a participant
         const chat = await Chat.findOne({
@@ -65,41 +56,59 @@ module.exports = (io) => {
           return;
         }
         
+        // Refuse messages between users who have blocked each other; groups
+        // don't check pairwise
+        const isGroup = chat.chatType === 'Group';
+        const recipient = !isGroup && chat.participants.find(p => !p.equals(user._id));
+        if (recipient && await isBlockedBetween(user._id, recipient)) {
+          socket.emit('error', { message: 'You cannot message this user' });
+          return;
+        }
+        
+        // A retried send returns the message stored the first time
+        const sent = clientId && await Message.findOne({ sender: user._id, clientId });
+        if (sent) {
+          reply({ success: true, chatId, clientId, messageId: sent._id, status: sent.status, duplicate: true });
+          return;
+        }
+        
         // Create new message
         const newMessage = await Message.create({
           chat: chatId,
           sender: user._id,
           content,
-          readBy: [user._id]
+          clientId
         });
         
-        // Update last message in chat
+        // Update last message in chat; the sender has read up to it
         chat.lastMessage = newMessage._id;
         await chat.save();
+        await advanceReadCursor(chatId, user._id, newMessage);
         
         // Populate message details for frontend
-        const populatedMessage = await Message.findById(newMessage._id)
-          .populate({
+        const populatedMessage = presentMessage(
+          await Message.findById(newMessage._id).populate({
             path: 'sender',
             select: 'firstName lastName username'
-          });
+          }),
+          chat
+        );
         
         // Broadcast message to all users in chat
         io.to(chatId).emit('newMessage', populatedMessage);
+        reply({ success: true, chatId, clientId, messageId: newMessage._id, status: newMessage.status, duplicate: false });
         
-        // Update unread status for other participant
-        const otherParticipant = chat.participants.find(
-          p => !p.equals(user._id)
-        );
-        
-        // Notify other participant
-        if (otherParticipant) {
-          io.to(otherParticipant.toString()).emit('messageNotification', {
-            chatId,
-            message: populatedMessage
+        // Notify the other participants
+        chat.participants
+          .filter(p => !p.equals(user._id))
+          .forEach(p => {
+            io.to(p.toString()).emit('messageNotification', {
+              chatId,
+              message: populatedMessage
+            });
           });
-        }
       } catch (error) {
+        reply({ success: false, clientId: data && data.clientId, error: error.message });
         socket.emit('error', { message: error.message });
       }
     });
@@ -109,35 +118,48 @@ module.exports = (io) => {
       try {
         const { chatId } = data;
         
-        // Update all unread messages in this chat
-        await Message.updateMany(
-          { 
-            chat: chatId, 
-            sender: { $ne: user._id },
-            readBy: { $ne: user._id }
-          },
-          { $push: { readBy: user._id } }
-        );
+        // Move the user's read cursor up to the latest message
+        const cursor = await advanceReadCursor(chatId, user._id);
+        await markReadUpTo(io, user._id, chatId, cursor);
         
-        // Notify other participant that messages were read
-        const chat = await Chat.findById(chatId);
+        // Notify the other participants that messages were read
+        const chat = cursor && await Chat.findById(chatId).select('participants');
         if (chat) {
-          const otherParticipant = chat.participants.find(
-            p => !p.equals(user._id)
-          );
-          
-          if (otherParticipant) {
-            io.to(otherParticipant.toString()).emit('messagesRead', {
-              chatId,
-              readBy: user._id
+          chat.participants
+            .filter(p => !p.equals(user._id))
+            .forEach(p => {
+              io.to(p.toString()).emit('messagesRead', {
+                chatId,
+                readBy: user._id,
+                lastReadMessage: cursor.lastReadMessage,
+                lastReadAt: cursor.lastReadAt
+              });
             });
-          }
         }
       } catch (error) {
         socket.emit('error', { message: error.message });
       }
     });
     
+    // A device received messages; tells their senders
+    socket.on('messageDelivered', async ({ messageIds } = {}) => {
+      try {
+        await markDelivered(io, user._id, messageIds);
+      } catch (error) {
+        socket.emit('error', { message: error.message });
+      }
+    });
+    
+    // Catch up after a reconnect: { chats: { <chatId>: <cursor> }, limit }
+    socket.on('sync', async ({ chats, limit } = {}, ack) => {
+      const reply = typeof ack === 'function' ? ack : (payload) => socket.emit('syncResult', payload);
+      try {
+        reply({ success: true, data: await syncMessages(user._id, chats, { limit }) });
+      } catch (error) {
+        reply({ success: false, error: error.message });
+      }
+    });
+    
     // User is typing indicator
     socket.on('typing', (chatId) => {
       socket.to(chatId).emit('userTyping', {
@@ -154,9 +176,15 @@ module.exports = (io) => {
       });
     });
     
-    // Join a new chat room
-    socket.on('joinChat', (chatId) => {
-      socket.join(chatId);
+    // Join a new chat room; members only
+    socket.on('joinChat', async (chatId) => {
+      try {
+        if (await Chat.exists({ _id: chatId, participants: user._id, isActive: true })) {
+          socket.join(chatId.toString());
+        }
+      } catch (error) {
+        socket.emit('error', { message: error.message });
+      }
     });
     
     // Leave a chat room
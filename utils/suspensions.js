@@ -0,0 +1,95 @@
+// utils/suspensions.js
+const EventEmitter = require('events');
+const Suspension = require('../models/suspensionModel');
+const Chat = require('../models/chatModel');
+const Message = require('../models/messageModel');
+const User = require('../models/userModel');
+const { revokeUserSessions } = require('./tokenService');
+
+// Emits "suspended" (userId) so the socket server can drop in-memory state
+// such as search queues and pending matches
+const suspensionEvents = new EventEmitter();
+
+const getActiveSuspension = (userId) =>
+  Suspension.findOne(Suspension.activeFilter(userId)).sort({ createdAt: -1 });
+
+// Deactivate the user's active chats, leaving a system message for partners.
+// Groups carry on without them.
+const endChatsForSuspendedUser = async (io, userId) => {
+  const chats = await Chat.find({ participants: userId, chatType: { $ne: 'Group' }, isActive: true });
+
+  for (const chat of chats) {
+    const message = await Message.create({
+      chat: chat._id,
+      type: 'system',
+      content: 'This chat has ended because the other person is no longer available.'
+    });
+    chat.isActive = false;
+    chat.lastMessage = message._id;
+    await chat.save();
+
+    await User.updateMany(
+      { _id: { $in: chat.participants } },
+      { $pull: { activeChats: chat._id }, chatStatus: 'online' }
+    );
+
+    if (io) {
+      io.to(chat._id.toString()).emit('new-message', message);
+      io.to(chat._id.toString()).emit('chat-ended', { chatId: chat._id, reason: 'unavailable' });
+    }
+  }
+};
+
+// Suspend (days given) or ban (no days) a user and cut them off immediately
+const suspendUser = async (io, { userId, days, reason, issuedBy, report }) => {
+  const suspension = await Suspension.create({
+    user: userId,
+    type: days ? 'suspension' : 'ban',
+    reason,
+    issuedBy,
+    report,
+    expiresAt: days ? new Date(Date.now() + days * 24 * 60 * 60 * 1000) : undefined
+  });
+
+  await revokeUserSessions(userId, 'signed_out_remotely');
+  await User.findByIdAndUpdate(userId, { online: false, chatStatus: 'offline' });
+  await endChatsForSuspendedUser(io, userId);
+
+  if (io) {
+    const room = userId.toString();
+    io.to(room).emit('account-suspended', {
+      type: suspension.type,
+      reason: suspension.reason,
+      expiresAt: suspension.expiresAt
+    });
+    io.in(room).disconnectSockets(true);
+  }
+  suspensionEvents.emit('suspended', userId.toString());
+
+  return suspension;
+};
+
+// Lift every suspension currently in force
+const liftSuspensions = async (userId, liftedBy) => {
+  const result = await Suspension.updateMany(
+    Suspension.activeFilter(userId),
+    { liftedAt: Date.now(), liftedBy }
+  );
+  return result.modifiedCount;
+};
+
+// Message shown to a suspended user trying to get in
+const describeSuspension = (suspension) => {
+  if (suspension.type === 'ban') {
+    return `Your account has been banned: ${suspension.reason}`;
+  }
+  return `Your account is suspended until ${suspension.expiresAt.toISOString()}: ${suspension.reason}`;
+};
+
+module.exports = {
+  suspensionEvents,
+  getActiveSuspension,
+  suspendUser,
+  liftSuspensions,
+  describeSuspension
+};
@@ -0,0 +1,155 @@
+// utils/tokenService.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/sessionModel');
+
+const ACCESS_TOKEN_EXPIRE = process.env.JWT_ACCESS_EXPIRE || '15m';
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS, 10) || 30;
+
+class TokenError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'TokenError';
+    this.code = code;
+  }
+}
+
+const hashToken = (token) =>
+  crypto.createHash('sha256').update(token).digest('hex');
+
+// Short-lived JWT; `sid` ties it to a device session so it can be revoked
+const generateAccessToken = (userId, sessionId) => {
+  return jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_EXPIRE
+  });
+};
+
+// Short-lived proof that the password step of a 2FA login passed. Signed with
+// a derived key so it can never be used as an access token.
+const challengeSecret = () => `${process.env.JWT_SECRET}:2fa-challenge`;
+
+const generateChallengeToken = (userId) => {
+  return jwt.sign({ id: userId, purpose: '2fa' }, challengeSecret(), {
+    expiresIn: '5m'
+  });
+};
+
+const verifyChallengeToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, challengeSecret());
+    if (decoded.purpose !== '2fa') throw new Error('Wrong token purpose');
+    return decoded;
+  } catch (error) {
+    throw new TokenError('Login challenge expired. Please log in again.', 'challenge_invalid');
+  }
+};
+
+// Refresh tokens are "<sessionId>.<secret>" so the session can be found
+// without storing the secret itself
+const buildRefreshToken = (sessionId) => {
+  const secret = crypto.randomBytes(40).toString('hex');
+  return { token: `${sessionId}.${secret}`, hash: hashToken(secret) };
+};
+
+const parseRefreshToken = (refreshToken) => {
+  if (typeof refreshToken !== 'string') return null;
+  const [sessionId, secret] = refreshToken.split('.');
+  if (!sessionId || !secret || !/^[a-f0-9]{24}$/i.test(sessionId)) return null;
+  return { sessionId, secret };
+};
+
+const describeDevice = (req) => ({
+  deviceName: req.body?.deviceName || req.headers['x-device-name'],
+  userAgent: req.headers['user-agent'],
+  ipAddress: req.ip
+});
+
+// Start a new device session and return its first token pair
+const createSession = async (userId, req) => {
+  const session = new Session({
+    user: userId,
+    ...describeDevice(req),
+    expiresAt: Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000
+  });
+  const refresh = buildRefreshToken(session._id);
+  session.refreshTokenHash = refresh.hash;
+  await session.save();
+
+  return {
+    accessToken: generateAccessToken(userId, session._id),
+    refreshToken: refresh.token,
+    session
+  };
+};
+
+// Exchange a refresh token for a new pair. A token that was already rotated
+// away is treated as stolen and revokes the session for both holders.
+const rotateRefreshToken = async (refreshToken, req) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) {
+    throw new TokenError('Invalid refresh token', 'invalid');
+  }
+
+  // Swap the hash in one conditional update, so of two concurrent refreshes
+  // with the same token only one can win; the other counts as reuse
+  const refresh = buildRefreshToken(parsed.sessionId);
+  const update = { refreshTokenHash: refresh.hash, lastUsedAt: Date.now() };
+  if (req.headers['user-agent']) update.userAgent = req.headers['user-agent'];
+  if (req.ip) update.ipAddress = req.ip;
+
+  const session = await Session.findOneAndUpdate(
+    {
+      _id: parsed.sessionId,
+      refreshTokenHash: hashToken(parsed.secret),
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    update,
+    { new: true }
+  );
+
+  if (!session) {
+    const existing = await Session.findById(parsed.sessionId);
+    if (!existing || !existing.isUsable()) {
+      throw new TokenError('Session expired. Please log in again.', 'expired');
+    }
+    await revokeSession(existing._id, 'token_reuse');
+    console.warn(`[TOKEN REUSE] Session ${existing._id} revoked for user ${existing.user}`);
+    throw new TokenError('Refresh token reuse detected. Please log in again.', 'reused');
+  }
+
+  return {
+    accessToken: generateAccessToken(session.user, session._id),
+    refreshToken: refresh.token,
+    session
+  };
+};
+
+const revokeSession = async (sessionId, reason) => {
+  return Session.findOneAndUpdate(
+    { _id: sessionId, revokedAt: null },
+    { revokedAt: Date.now(), revokedReason: reason },
+    { new: true }
+  );
+};
+
+// Revoke every live session of a user, optionally keeping one (the caller's)
+const revokeUserSessions = async (userId, reason, exceptSessionId) => {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+  return Session.updateMany(filter, { revokedAt: Date.now(), revokedReason: reason });
+};
+
+module.exports = {
+  TokenError,
+  hashToken,
+  generateAccessToken,
+  generateChallengeToken,
+  verifyChallengeToken,
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeUserSessions
+};
@@ -0,0 +1,141 @@
+// utils/verification.js
+const crypto = require('crypto');
+const VerificationCode = require('../models/verificationCodeModel');
+const User = require('../models/userModel');
+const { sendMail } = require('./mailer');
+const { sendSms } = require('./smsSender');
+
+const CODE_TTL_MS = 10 * 60 * 1000;
+const RESEND_COOLDOWN_MS = 60 * 1000;
+const MAX_SENDS_PER_HOUR = 5;
+const MAX_ATTEMPTS = 5;
+
+const CHANNELS = {
+  email: { targetField: 'email', verifiedField: 'emailVerified' },
+  phone: { targetField: 'phoneNumber', verifiedField: 'phoneVerified' }
+};
+
+class VerificationError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'VerificationError';
+    this.status = status;
+  }
+}
+
+const hashCode = (code) => crypto.createHash('sha256').update(code).digest('hex');
+
+const generateCode = () => crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+
+const deliver = (channel, target, code) => {
+  if (channel === 'email') {
+    return sendMail({
+      to: target,
+      subject: 'Your Circle verification code',
+      text: `Your Circle verification code is ${code}. It expires in 10 minutes.`
+    });
+  }
+  return sendSms({
+    to: target,
+    body: `Your Circle verification code is ${code}`
+  });
+};
+
+// Send a fresh code, enforcing a resend cooldown and an hourly cap
+const issueCode = async (user, channel) => {
+  const config = CHANNELS[channel];
+  if (!config) {
+    throw new VerificationError('Unknown verification channel');
+  }
+  if (user[config.verifiedField]) {
+    throw new VerificationError(`Your ${channel} is already verified`);
+  }
+
+  const recent = await VerificationCode.find({
+    user: user._id,
+    channel,
+    createdAt: { $gt: Date.now() - 60 * 60 * 1000 }
+  }).sort('-createdAt');
+
+  if (recent.length >= MAX_SENDS_PER_HOUR) {
+    throw new VerificationError('Too many codes requested. Please try again later.', 429);
+  }
+  if (recent[0] && recent[0].createdAt > Date.now() - RESEND_COOLDOWN_MS) {
+    throw new VerificationError('Please wait a minute before requesting another code', 429);
+  }
+
+  const code = generateCode();
+  const target = user[config.targetField];
+
+  // Only the newest code is valid
+  await VerificationCode.updateMany(
+    { user: user._id, channel, expiresAt: { $gt: Date.now() } },
+    { expiresAt: Date.now() }
+  );
+  await VerificationCode.create({
+    user: user._id,
+    channel,
+    target,
+    codeHash: hashCode(code),
+    expiresAt: Date.now() + CODE_TTL_MS
+  });
+
+  await deliver(channel, target, code);
+};
+
+// Check a submitted code and mark the channel verified
+const confirmCode = async (user, channel, code) => {
+  const config = CHANNELS[channel];
+  if (!config) {
+    throw new VerificationError('Unknown verification channel');
+  }
+
+  const live = {
+    user: user._id,
+    channel,
+    target: user[config.targetField],
+    expiresAt: { $gt: Date.now() }
+  };
+
+  // Spend an attempt before checking the code, in one atomic update, so
+  // parallel guesses can't all slip in under the limit
+  const record = await VerificationCode.findOneAndUpdate(
+    { ...live, attempts: { $lt: MAX_ATTEMPTS } },
+    { $inc: { attempts: 1 } },
+    { new: true, sort: { createdAt: -1 } }
+  );
+
+  if (!record) {
+    if (await VerificationCode.exists(live)) {
+      throw new VerificationError('Too many incorrect attempts. Please request a new code.', 429);
+    }
+    throw new VerificationError('Code expired. Please request a new one.');
+  }
+
+  if (record.codeHash !== hashCode(String(code).trim())) {
+    throw new VerificationError(
+      `Incorrect code. ${MAX_ATTEMPTS - record.attempts} attempts remaining.`
+    );
+  }
+
+  // Each code works once
+  const used = await VerificationCode.updateOne(
+    { _id: record._id, expiresAt: { $gt: Date.now() } },
+    { expiresAt: Date.now() }
+  );
+  if (used.modifiedCount === 0) {
+    throw new VerificationError('Code expired. Please request a new one.');
+  }
+
+  return User.findByIdAndUpdate(
+    user._id,
+    { [config.verifiedField]: true },
+    { new: true }
+  );
+};
+
+module.exports = {
+  VerificationError,
+  issueCode,
+  confirmCode
+};
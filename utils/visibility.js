@@ -0,0 +1,28 @@
+// utils/visibility.js
+const User = require('../models/userModel');
+const { getBlockedUserIds } = require('./blockList');
+
+const isFollowing = (viewer, authorId) =>
+  viewer.following.some(id => id.toString() === authorId.toString());
+
+// Whether the viewer may see an author's posts
+const canViewContentOf = (viewer, author) => {
+  if (author._id.toString() === viewer._id.toString()) return true;
+  if (!author.isPrivate) return true;
+  return isFollowing(viewer, author._id);
+};
+
+// Authors whose posts the viewer can't see: private accounts they don't
+// follow, and anyone on either side of a block
+const getHiddenAuthorIds = async (viewer) => {
+  const [privateIds, blockedIds] = await Promise.all([
+    User.find({
+      isPrivate: true,
+      _id: { $nin: [viewer._id, ...viewer.following] }
+    }).distinct('_id'),
+    getBlockedUserIds(viewer._id)
+  ]);
+  return [...privateIds, ...blockedIds];
+};
+
+module.exports = { canViewContentOf, getHiddenAuthorIds };